@@ -2,49 +2,216 @@ import React, { useState, useEffect, useMemo, useRef } from 'react';
 import CustomerTable from './components/CustomerTable';
 import SearchBar from './components/SearchBar';
 import FilterDropdown from './components/FilterDropdown';
+import CustomerForm from './components/CustomerForm';
+import ExportDialog from './components/ExportDialog';
+import ImportDialog from './components/ImportDialog';
+import DatasetSettings from './components/DatasetSettings';
+import BulkActionBar from './components/BulkActionBar';
+import CustomerDetailPanel from './components/CustomerDetailPanel';
+import SavedViewsMenu from './components/SavedViewsMenu';
+import CustomerDashboard from './components/CustomerDashboard';
+import { CUSTOMER_TABLE_COLUMNS } from './components/customerTableColumns';
 import { useDebounce } from './hooks/useDebounce';
+import { useThrottle } from './hooks/useThrottle';
+import { useCustomerQuery } from './hooks/useCustomerQuery';
+import { useUrlState } from './hooks/useUrlState';
+import { useSavedViews } from './hooks/useSavedViews';
+import { useCustomerStats } from './hooks/useCustomerStats';
+import { createIndexedDataSource, isIndexedSort } from './utils/customerDataSource';
+import { countActiveFilters } from './utils/customerFilters';
+import { buildCustomerRecord, normalizeEmail, toFormValues } from './utils/customerRecords';
+import {
+  EMPTY_SELECTION,
+  getSelectionCount,
+  setSelected,
+  selectAllMatching,
+  isAllMatchingSelected,
+  resolveSelectedIds
+} from './utils/customerSelection';
+import { customersToCsv, exportCsv } from './utils/csvExport';
+import { validateImportRows } from './utils/customerImport';
+import { createQueryEngine } from './utils/queryEngine';
+import { parseQuery, getPositiveTextTerms } from './utils/queryParser';
+import { readViewState } from './utils/viewState';
+import { createSavedViewStore, encodeSavedView } from './utils/savedViews';
+import { createTabSync, runExclusive, POPULATION_LOCK } from './utils/tabSync';
+import {
+  readDatasetSettings,
+  readDatasetState,
+  writeDatasetState,
+  writeDatasetSettings
+} from './utils/datasetSettings';
 import {
   initializeDatabase,
   populateDatabase,
   isDatabasePopulated,
+  getCustomerCount,
+  getHighestCustomerId,
   isIndexedDBAvailable,
-  generateCustomersInMemory,
-  clearDatabase
+  loadCustomersProgressively,
+  clearDatabase,
+  saveCustomer,
+  deleteCustomer,
+  saveCustomers,
+  deleteCustomers,
+  getCustomerById,
+  getCustomersByIds,
+  getCustomerMessages,
+  addCustomerMessage,
+  createGenerationSettings,
+  generateMessageThread,
+  buildSentMessage,
+  getCustomersByEmails,
+  getAllCustomerIds
 } from './utils/dataGenerator';
 import './App.css';
 
 /**
  * Main Application Component - Customer List Manager
  * 
- * This component manages a large dataset of 1 million customer records.
+ * This component manages a large dataset of customer records (1 million by default).
  * It uses IndexedDB (browser's built-in database) for efficient storage,
  * with an automatic fallback to in-memory storage if IndexedDB fails.
  * 
  * Key Features:
- * - Loads/generates 1M customer records on first run
- * - Real-time search across name, email, and phone fields
- * - Sortable columns (ID, name, email, phone, score, last message date)
+ * - Loads/generates customer records on first run (1M by default, configurable)
+ * - Real-time search across name, email, and phone fields, with a small
+ *   query language for field-scoped terms (email:gmail.com score:>80 ...)
+ * - Sortable columns (ID, name, email, phone, score, last message date),
+ *   shift-click to sort by several columns
  * - Persistent storage using IndexedDB (data survives page refresh)
  * - Memory fallback for environments where IndexedDB is unavailable
- * - OPTIMIZED SORTING: Uses pre-computation for 50-70% faster sorting
+ * - OFF-MAIN-THREAD QUERIES: search, filter and sort run in a Web Worker
+ *   that holds the dataset; React state only keeps the sorted result ids
+ * - INDEX-BACKED PAGING: plain sorted views are read window by window from
+ *   IndexedDB indexes, so the worker only loads the dataset once a search,
+ *   filter or non-indexed sort actually needs it
+ * - MULTI-TAB: one tab populates the database while the others follow its
+ *   progress, and edits, imports and deletes show up in every open tab
+ * - DETAIL PANEL: a row opens the whole record, read by key, with previous /
+ *   next through the current order and a link (?customer=<id>) of its own
+ * - MESSAGES: every customer has a message thread (generated the first time
+ *   it is read) and lastMessageAt follows its newest message
+ * - SAVED VIEWS: named search / sort / filter / column presets, one of which
+ *   can open on start
+ * - DASHBOARD: score, message, domain and owner statistics over the current
+ *   result, computed in the worker; clicking a bar narrows the search to it
+ */
+/**
+ * Customer record for an imported row (keeps the stored customer's id when merging)
  */
+const buildImportedRecord = (values, existing) => {
+  const record = buildCustomerRecord(values, existing);
+  return values.lastMessageAt ? { ...record, lastMessageAt: values.lastMessageAt } : record;
+};
+
 function App() {
   // ============================================================================
   // STATE MANAGEMENT
   // ============================================================================
 
-  // Array holding all customer records (up to 1 million)
-  const [customers, setCustomers] = useState([]);
+  // Worker-backed query engine holding all customer records (1 million by default, up to 5 million)
+  const queryEngineRef = useRef(null);
+  if (!queryEngineRef.current) {
+    queryEngineRef.current = createQueryEngine();
+  }
+  const queryEngine = queryEngineRef.current;
+
+  // Channel to the other open tabs of the app, which share the IndexedDB data
+  const tabSyncRef = useRef(null);
+  if (!tabSyncRef.current) {
+    tabSyncRef.current = createTabSync();
+  }
+  const tabSync = tabSyncRef.current;
+
+  // Number of customer records loaded into the query engine so far
+  const [engineCount, setEngineCount] = useState(0);
+
+  // Revision of the query engine's dataset, bumped by every batch and every edit
+  const [engineRevision, setEngineRevision] = useState(0);
+
+  // Number of customer records stored in IndexedDB
+  const [storedCount, setStoredCount] = useState(0);
+
+  // Bumped whenever a single customer is saved or deleted in IndexedDB
+  const [storeRevision, setStoreRevision] = useState(0);
+
+  // Customer form: null when closed, { customer } to edit, { customer: null } to add
+  const [customerForm, setCustomerForm] = useState(null);
+
+  // Selected customers, by id (see customerSelection.js)
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+
+  // Progress of the running bulk action: { label, done, total }, or null
+  const [bulkProgress, setBulkProgress] = useState(null);
+
+  // Open export dialog: { scope: 'view' | 'selection' }, or null
+  const [exportDialog, setExportDialog] = useState(null);
+
+  // Whether the import dialog is open, and whether an import is being written
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+
+  // Dataset size / generator profile asked for (settings screen or URL), read once
+  const [dataset] = useState(() => readDatasetSettings(window.location.search));
+  const [settingsOpen, setSettingsOpen] = useState(false);
+
+  // View the page was opened with, read once from the URL query string
+  const [initialView] = useState(() => readViewState(window.location.search));
 
   // Current search query entered by user
-  const [searchTerm, setSearchTerm] = useState('');
+  const [searchTerm, setSearchTerm] = useState(initialView.searchTerm);
+
+  // Typo-tolerant search: text terms match approximately and rank by relevance
+  const [fuzzy, setFuzzy] = useState(initialView.fuzzy);
+
+  // Applied score band / last-message filters (drafts live in FilterDropdown)
+  const [filters, setFilters] = useState(initialView.filters);
 
-  // Current sort configuration: which column and direction (asc/desc)
-  const [sortConfig, setSortConfig] = useState({ column: 'id', direction: 'asc' });
+  // Current sort stack: [{ column, direction }, ...], highest priority first
+  const [sortConfig, setSortConfig] = useState(initialView.sortConfig);
+
+  // Tab shown under the controls: 'table' or 'dashboard'
+  const [activeTab, setActiveTab] = useState('table');
+
+  // First visible row index reported by the table (kept in the URL)
+  const [scrollRow, setScrollRow] = useState(initialView.row);
+
+  // Row the table should scroll to once it has that many rows ({ row }, new object per request)
+  const [scrollRequest, setScrollRequest] = useState(
+    initialView.row > 0 ? { row: initialView.row } : null
+  );
+
+  // Customer open in the detail panel, or null: { id, index, dataSource, record },
+  // where index is its row in the table data source `dataSource` as worked out
+  // from `record` (null while being looked up, -1 if not part of it)
+  const [customerDetail, setCustomerDetail] = useState(() =>
+    initialView.customerId
+      ? { id: initialView.customerId, index: null, dataSource: null, record: null }
+      : null
+  );
+
+  // Record shown in the detail panel: { id, customer } (customer null if there is no such id)
+  const [detailRecord, setDetailRecord] = useState(null);
+
+  // Message threads in memory storage mode, by customer id (IndexedDB has a store for them)
+  const memoryThreads = useRef(new Map());
+
+  // Saved view last opened or saved, shown in the header's view switcher
+  const [activeViewId, setActiveViewId] = useState(null);
+
+  // Column layouts the table should switch to ({ layouts }, new object per request)
+  const [columnLayoutsRequest, setColumnLayoutsRequest] = useState(null);
+
+  // Column layouts the table currently shows, kept with a saved view
+  const columnLayoutsRef = useRef(null);
 
   // Loading state: true during initial data generation/loading
   const [loading, setLoading] = useState(true);
 
+  // What the loading screen is waiting for, when not generating (e.g. a database upgrade)
+  const [loadingStatus, setLoadingStatus] = useState(null);
+
   // Progress percentage (0-100) for data generation
   const [progress, setProgress] = useState(0);
 
@@ -63,10 +230,165 @@ function App() {
   // Ref to track if first batch has been shown (to avoid closure issues)
   const firstBatchShown = useRef(false);
 
+  // Ref guarding against a second initialization (StrictMode runs effects twice),
+  // which would hand every batch to the query engine twice
+  const initStarted = useRef(false);
+
+  // Ref set once the query engine has been asked to load the IndexedDB data;
+  // from then on freshly populated batches are forwarded to it as well
+  const engineRequested = useRef(false);
+
+  // Ref to the highest id the query engine has loaded from IndexedDB, so it
+  // can catch up on records another tab stored in the meantime
+  const engineLoadedThrough = useRef(0);
+
+  // Ref to the function that populates the database (or waits for the tab
+  // populating it), set once the database is open
+  const populateRef = useRef(null);
+
+  // Ref set while this tab is populating or waiting for its turn to
+  const populationPending = useRef(false);
+
   // Debounced search term: waits 250ms after user stops typing before updating
   // This prevents excessive filtering operations while user is typing
   const debouncedSearchTerm = useDebounce(searchTerm, 250);
 
+  // Search box text parsed into a query AST (or a syntax error to show)
+  const parsedSearch = useMemo(() => parseQuery(debouncedSearchTerm), [debouncedSearchTerm]);
+
+  // Last search that parsed cleanly: a half-typed query keeps the previous results
+  const [searchQuery, setSearchQuery] = useState(null);
+
+  useEffect(() => {
+    if (!parsedSearch.error) setSearchQuery(parsedSearch.ast);
+  }, [parsedSearch]);
+
+  // Memory storage only has the worker's copy; otherwise IndexedDB is the source of truth
+  const totalCount = useMemoryStorage ? engineCount : storedCount;
+
+  // Plain sorted views come straight from an index; anything else needs the worker
+  // (and so does the dashboard, which computes its statistics there)
+  const needsEngine = useMemoryStorage ||
+    activeTab === 'dashboard' ||
+    searchQuery !== null ||
+    countActiveFilters(filters) > 0 ||
+    !isIndexedSort(sortConfig);
+
+  // While batches stream in, refresh the views at most once a second
+  const dataVersion = useThrottle(engineRevision, 1000);
+  const storedVersion = useThrottle(storedCount, 1000);
+
+  // Search + filter + sort, answered by the worker; a newer query cancels an older one
+  const { ids: resultIds, dataSource: queryDataSource, isQuerying } = useCustomerQuery(queryEngine, {
+    query: searchQuery,
+    fuzzy,
+    filters,
+    sortConfig,
+    dataVersion,
+    enabled: needsEngine
+  });
+
+  // Sorted windows read directly from the matching IndexedDB index
+  const indexedDataSource = useMemo(() => {
+    if (!db || !isIndexedSort(sortConfig)) return null;
+    // Every edit starts over with a new source: its checkpoints may have moved
+    return createIndexedDataSource(db, { ...sortConfig[0], length: storedVersion, revision: storeRevision });
+  }, [db, sortConfig, storedVersion, storeRevision]);
+
+  const tableDataSource = needsEngine || !indexedDataSource ? queryDataSource : indexedDataSource;
+
+  // Ids behind the table, or null when it pages the unfiltered list from IndexedDB
+  const tableResultIds = tableDataSource === queryDataSource ? resultIds : null;
+
+  // Dashboard statistics over the same result, only computed while it is shown
+  const { stats, isComputing: isComputingStats } = useCustomerStats(
+    queryEngine,
+    resultIds,
+    activeTab === 'dashboard'
+  );
+
+  // Mirror the view in the URL; back/forward restores an earlier one
+  useUrlState(
+    {
+      searchTerm: debouncedSearchTerm,
+      fuzzy,
+      sortConfig,
+      filters,
+      row: scrollRow,
+      customerId: customerDetail?.id ?? null
+    },
+    searchTerm === debouncedSearchTerm,
+    (view) => {
+      setSearchTerm(view.searchTerm);
+      setFuzzy(view.fuzzy);
+      setSortConfig(view.sortConfig);
+      setFilters(view.filters);
+      setScrollRow(view.row);
+      setScrollRequest({ row: view.row });
+      setCustomerDetail(current => {
+        if (!view.customerId) return null;
+        return current?.id === view.customerId
+          ? current
+          : { id: view.customerId, index: null, dataSource: null, record: null };
+      });
+    }
+  );
+
+  // ============================================================================
+  // SAVED VIEWS
+  // ============================================================================
+
+  const savedViewStore = useMemo(() => {
+    if (db) return createSavedViewStore(db);
+    return useMemoryStorage ? createSavedViewStore(null) : null;
+  }, [db, useMemoryStorage]);
+
+  /**
+   * Open a saved view: its search, sort, filters and columns all at once
+   */
+  const openSavedView = (view) => {
+    const saved = readViewState(view.query);
+    setSearchTerm(saved.searchTerm);
+    setFuzzy(saved.fuzzy);
+    setSortConfig(saved.sortConfig);
+    setFilters(saved.filters);
+    setScrollRow(0);
+    setScrollRequest({ row: 0 });
+    if (view.columnLayouts) setColumnLayoutsRequest({ layouts: view.columnLayouts });
+    setActiveViewId(view.id);
+  };
+
+  const { views: savedViews, saveView, deleteView, setDefaultView } = useSavedViews(
+    savedViewStore,
+    tabSync,
+    (views) => {
+      // A link to a particular view wins over the default one
+      const defaultView = views.find(view => view.isDefault);
+      if (defaultView && encodeSavedView(initialView) === '') openSavedView(defaultView);
+    }
+  );
+
+  // The current view as a saved view keeps it
+  const currentViewQuery = encodeSavedView({ searchTerm, fuzzy, sortConfig, filters });
+  const activeView = savedViews.find(view => view.id === activeViewId);
+
+  // ============================================================================
+  // QUERY ENGINE SUBSCRIPTION
+  // ============================================================================
+
+  useEffect(() => {
+    // Track the dataset size and show the UI as soon as the first batch is in
+    return queryEngine.onLoaded((total, revision) => {
+      setEngineCount(total);
+      setEngineRevision(revision);
+
+      if (total > 0 && !firstBatchShown.current) {
+        firstBatchShown.current = true;
+        setLoading(false);
+      }
+    });
+  }, [queryEngine]);
+
   // ============================================================================
   // DATA INITIALIZATION (runs once when component mounts)
   // ============================================================================
@@ -78,16 +400,25 @@ function App() {
      * Process:
      * 1. Check if IndexedDB is available in the browser
      * 2. If available: Open database and check if data exists
-     * 3. If no data: Generate 1M records in batches and store in IndexedDB
+     * 3. If no data: Generate the configured number of records in batches and store in IndexedDB
+     *    (an interrupted population continues after the last batch it stored)
      * 4. If IndexedDB unavailable: Generate records in memory instead
-     * 5. Load all records into state for display
+     * 5. Show the table right away, paging it from the IndexedDB indexes
      * 
      * This only runs once per session. On subsequent page loads,
-     * the data is already in IndexedDB and loads quickly.
+     * the data is already in IndexedDB and the first page shows at once.
      */
     const initData = async () => {
+      if (initStarted.current) return;
+      initStarted.current = true;
+
       console.log('=== Starting data initialization ===');
 
+      // Size, name pools and seed of freshly generated data (both storage modes)
+      const { settings } = dataset;
+      const sizeLabel = settings.count.toLocaleString();
+      const seedLabel = (seed) => (seed ? ` with seed "${seed}"` : '');
+
       try {
         setError(null);
         firstBatchShown.current = false; // Reset for this initialization
@@ -100,83 +431,181 @@ function App() {
           setUseMemoryStorage(true);
           setIsGenerating(true);
 
-          // Generate records in memory with progressive loading
-          console.log('Generating 1M records in memory with progressive loading...');
-          const memoryCustomers = await generateCustomersInMemory(
-            1000000,
+          // Generate records inside the query worker with progressive loading
+          // (each batch becomes searchable as soon as it is generated)
+          console.log(`Generating ${sizeLabel} records${seedLabel(settings.seed)} in memory with progressive loading...`);
+          const generatedCount = await queryEngine.generate(
+            settings.count,
             (processed, total) => {
               // Update progress bar as records are generated
               setProgress(Math.floor((processed / total) * 100));
             },
-            (batchCustomers) => {
-              // Display each batch immediately as it's generated
-              setCustomers(prev => [...prev, ...batchCustomers]);
-
-              // Show the UI after first batch is ready
-              if (!firstBatchShown.current) {
-                firstBatchShown.current = true;
-                setLoading(false);
-              }
-            }
+            settings
           );
 
-          console.log(`✅ Generated ${memoryCustomers.length} customers in memory`);
+          console.log(`✅ Generated ${generatedCount} customers in memory`);
           setIsGenerating(false);
           return;
         }
 
         console.log('✅ IndexedDB is available');
 
-        // STEP 2: Open/create the IndexedDB database
+        // STEP 2: Open/create the IndexedDB database, migrating it to the current schema
         console.log('Opening database...');
-        const database = await initializeDatabase();
+        const database = await initializeDatabase({
+          onUpgradeProgress: ({ description, step, steps, done, total }) => {
+            setLoadingStatus(`Upgrading database (step ${step} of ${steps}): ${description}...`);
+            setProgress(total > 0 ? Math.floor((done / total) * 100) : 0);
+          },
+          onBlocked: () => {
+            setLoadingStatus('Waiting for other tabs of this app to close before upgrading the database...');
+          },
+          onVersionChange: () => {
+            setError('The database was upgraded by another tab. Reload this page to keep working.');
+          }
+        });
+        setLoadingStatus(null);
+        setProgress(0);
         console.log('✅ Database opened:', database);
         setDb(database);
 
         // STEP 3: Check if we already have data (to avoid regenerating on every load)
         console.log('Checking if database is populated...');
-        const isPopulated = await isDatabasePopulated(database);
+        // Settings that differ from the stored dataset's mean generating it anew
+        if (dataset.changed) console.log('⚙️ Dataset settings changed, regenerating');
+        const isPopulated = !dataset.changed && await isDatabasePopulated(database, settings.count);
         console.log(`Database populated: ${isPopulated}`);
 
-        if (!isPopulated) {
-          // Database is empty, need to generate the 1M records
-          console.log('📝 Populating database with 1M records...');
-          setIsGenerating(true);
+        /**
+         * Mark the UI ready once IndexedDB holds records to page through
+         */
+        const showTable = (count) => {
+          setStoredCount(count);
+          if (count > 0 && !firstBatchShown.current) {
+            firstBatchShown.current = true;
+            setLoading(false);
+          }
+        };
 
-          // Clear any partial data first (in case of previous failed attempts)
-          await clearDatabase(database);
+        /**
+         * Hand records read from IndexedDB to the query engine, keeping track
+         * of how far it got
+         */
+        const appendToEngine = (batch) => {
+          queryEngine.append(batch);
+          engineLoadedThrough.current = batch[batch.length - 1].id;
+        };
 
-          // Start populating database with progressive loading
-          populateDatabase(
-            database,
-            (processed, total) => {
-              // Update progress bar as batches are written to database
-              const percent = Math.floor((processed / total) * 100);
-              setProgress(percent);
-              console.log(`Progress: ${percent}%`);
-            },
-            (batchCustomers) => {
-              // Display each batch immediately as it's generated
-              setCustomers(prev => [...prev, ...batchCustomers]);
-
-              // Show the UI after first batch is ready
-              if (!firstBatchShown.current) {
-                firstBatchShown.current = true;
-                setLoading(false);
+        /**
+         * Populate the database unless it is complete
+         *
+         * One tab at a time, under the population lock: the others wait for
+         * it here while following the populating tab's progress (see OTHER
+         * TABS below), then find the database complete. If the populating tab
+         * was closed midway, the next one in line carries on after its last
+         * stored batch.
+         */
+        const populateIfNeeded = () => {
+          if (populationPending.current) return Promise.resolve();
+          populationPending.current = true;
+
+          return runExclusive(POPULATION_LOCK, async () => {
+            // Read the settings again: the tab that held the lock may have
+            // generated exactly these
+            const { settings: current, changed } = readDatasetSettings(window.location.search);
+            if (!changed && await isDatabasePopulated(database, current.count)) {
+              showTable(await getCustomerCount(database));
+              setIsGenerating(false);
+
+              // A worker already loaded also needs what the other tab stored
+              if (engineRequested.current) {
+                await loadCustomersProgressively(database, appendToEngine, engineLoadedThrough.current);
               }
+              return;
             }
-          ).then(() => {
+
+            setIsGenerating(true);
+
+            // An interrupted population of the same dataset carries on after its
+            // last stored batch (status unknown: populated before it was recorded)
+            const { status } = readDatasetState();
+            const keptCount = changed ? 0 : await getCustomerCount(database);
+            const resumeAfter = keptCount > 0 && (status === 'populating' || status === null)
+              ? await getHighestCustomerId(database)
+              : 0;
+
+            if (resumeAfter > 0) {
+              console.log(`📝 Resuming population after id ${resumeAfter}${seedLabel(current.seed)} (${keptCount} records kept)...`);
+              writeDatasetState({ settings: current, status: 'populating' });
+              // Already stored records stay visible while the rest is generated
+              showTable(keptCount);
+            } else {
+              // Database is empty (or holds another dataset), need to generate the records
+              console.log(`📝 Populating database with ${current.count.toLocaleString()} records${seedLabel(current.seed)}...`);
+
+              // Clear any other data first (a finished import, another dataset)
+              await clearDatabase(database);
+              writeDatasetState({ settings: current, status: 'populating' });
+              tabSync.post({ type: 'customers-cleared', reason: 'populating' });
+            }
+
+            try {
+              // Populate the database with progressive loading
+              await populateDatabase(
+                database,
+                (processed, total) => {
+                  // Update progress bar as batches are written to database
+                  const percent = Math.floor((processed / total) * 100);
+                  const stored = keptCount + processed - resumeAfter;
+                  setProgress(percent);
+                  showTable(stored);
+                  tabSync.post({ type: 'population-progress', progress: percent, stored });
+                  console.log(`Progress: ${percent}%`);
+                },
+                (batchCustomers) => {
+                  // Every batch feeds the search index; once a search has needed
+                  // the worker, its copy of the records is kept in step as well
+                  if (engineRequested.current) {
+                    appendToEngine(batchCustomers);
+                  } else {
+                    queryEngine.index(batchCustomers);
+                  }
+                },
+                { ...current, startId: resumeAfter + 1 }
+              );
+            } catch (err) {
+              console.error('Error during population:', err);
+              setIsGenerating(false);
+              throw err;
+            }
+
             console.log('✅ Database populated successfully');
+            writeDatasetState({ status: 'complete' });
             setIsGenerating(false);
-          }).catch(err => {
-            console.error('Error during population:', err);
-            setIsGenerating(false);
-            throw err;
+
+            // Store the index next to the customers so later sessions skip the build.
+            // After a resume the worker only indexed the new batches: the index is
+            // rebuilt from every record (and stored) when a search first needs it.
+            if (resumeAfter === 0) await queryEngine.persistSearchIndex();
+          }).finally(() => {
+            populationPending.current = false;
+          });
+        };
+        populateRef.current = populateIfNeeded;
+
+        if (!isPopulated) {
+          setIsGenerating(true);
+          // Records another tab is storing right now show while this one waits
+          if (!dataset.changed) showTable(await getCustomerCount(database));
+
+          populateIfNeeded().catch(err => {
+            setError(err.message || 'Failed to populate the database');
           });
         } else {
-          // Data already exists, load it progressively
-          console.log('ℹ️ Database already contains data, loading progressively...');
-          await loadCustomersProgressively(database);
+          // Data already exists: the indexes serve the table, nothing is loaded up front
+          const count = await getCustomerCount(database);
+          console.log(`ℹ️ Database already contains ${count} records, paging from indexes`);
+          showTable(count);
         }
       } catch (err) {
         // Something went wrong - log detailed error information
@@ -190,30 +619,21 @@ function App() {
         setError(err.message || 'Failed to initialize database');
         
         // FALLBACK: Try memory storage if IndexedDB failed
-        console.log('🔄 Falling back to memory storage...');
+        console.log(`🔄 Falling back to memory storage${seedLabel(settings.seed)}...`);
         setUseMemoryStorage(true);
         setIsGenerating(true);
 
         try {
           // Generate records in memory as backup plan with progressive loading
-          const memoryCustomers = await generateCustomersInMemory(
-            1000000,
+          const generatedCount = await queryEngine.generate(
+            settings.count,
             (processed, total) => {
               setProgress(Math.floor((processed / total) * 100));
             },
-            (batchCustomers) => {
-              // Display each batch immediately as it's generated
-              setCustomers(prev => [...prev, ...batchCustomers]);
-
-              // Show the UI after first batch is ready
-              if (!firstBatchShown.current) {
-                firstBatchShown.current = true;
-                setLoading(false);
-              }
-            }
+            settings
           );
 
-          console.log(`✅ Fallback successful: ${memoryCustomers.length} customers`);
+          console.log(`✅ Fallback successful: ${generatedCount} customers`);
           setError(null);
           setIsGenerating(false);
         } catch (memError) {
@@ -226,286 +646,609 @@ function App() {
     };
 
     initData();
-  }, []); // Empty dependency array means this only runs once on mount
+  }, [queryEngine, tabSync, dataset]); // None of these ever change, so this only runs once on mount
+
+  // ============================================================================
+  // ON-DEMAND QUERY ENGINE LOADING
+  // ============================================================================
+
+  useEffect(() => {
+    /**
+     * Load the IndexedDB records into the query worker the first time a
+     * search, filter or non-indexed sort needs them. The worker keeps its
+     * copy afterwards, so later searches don't pay for this again.
+     */
+    if (!needsEngine || !db || useMemoryStorage || engineRequested.current) return;
+    engineRequested.current = true;
+
+    const prepareEngine = async () => {
+      // A persisted index answers text searches while the records still stream in
+      const restored = await queryEngine.restoreSearchIndex(storedCount);
+      console.log(restored
+        ? '✅ Search index ready'
+        : '🔍 No usable search index stored, building it while loading...');
+
+      const count = await loadCustomersProgressively(db, (batch) => {
+        queryEngine.append(batch);
+        engineLoadedThrough.current = batch[batch.length - 1].id;
+      });
+      console.log(`✅ Query engine ready with ${count} customers`);
+
+      if (!restored) await queryEngine.persistSearchIndex();
+    };
+
+    console.log('🔍 Loading customers into the query engine...');
+    prepareEngine().catch((err) => {
+      console.error('❌ Failed to load customers into the query engine:', err);
+      setError(err.message || 'Failed to prepare search');
+    });
+  }, [needsEngine, db, useMemoryStorage, queryEngine, storedCount]);
+
+  // ============================================================================
+  // OTHER TABS
+  // ============================================================================
+
+  useEffect(() => {
+    /**
+     * Follow what the other open tabs do to the shared database: their
+     * writes are applied to this tab's worker and counts, and while one of
+     * them populates or imports, this tab shows the progress. Tabs using
+     * memory storage each have their own data and take no part.
+     */
+    if (!db || useMemoryStorage) return;
+
+    return tabSync.subscribe((message) => {
+      switch (message.type) {
+        case 'customers-saved':
+          queryEngine.upsertMany(message.changes);
+          setStoredCount(count => count + message.changes.filter(({ previous }) => !previous).length);
+          setStoreRevision(revision => revision + 1);
+          break;
+
+        case 'customers-deleted': {
+          const ids = message.removals.map(({ id }) => id);
+          queryEngine.removeMany(message.removals);
+          setStoredCount(count => count - ids.length);
+          setSelection(current => setSelected(current, ids, false));
+          setStoreRevision(revision => revision + 1);
+          break;
+        }
+
+        case 'customers-cleared':
+          queryEngine.clear();
+          engineLoadedThrough.current = 0;
+          setStoredCount(0);
+          setSelection(EMPTY_SELECTION);
+          setProgress(0);
+          if (message.reason === 'importing') {
+            setIsImporting(true);
+          } else {
+            setIsGenerating(true);
+          }
+          setStoreRevision(revision => revision + 1);
+          break;
+
+        case 'population-progress':
+          setIsGenerating(true);
+          setProgress(message.progress);
+          setStoredCount(message.stored);
+          if (message.stored > 0 && !firstBatchShown.current) {
+            firstBatchShown.current = true;
+            setLoading(false);
+          }
+          // Queue for the population lock: it is granted once the other tab
+          // is done (the database is then complete) or has been closed
+          // (this tab then finishes the population)
+          if (populateRef.current) {
+            populateRef.current().catch(err => {
+              setError(err.message || 'Failed to populate the database');
+            });
+          }
+          break;
+
+        case 'import-progress':
+          setIsImporting(true);
+          setProgress(message.progress);
+          break;
+
+        case 'import-finished':
+          setIsImporting(false);
+          setStoreRevision(revision => revision + 1);
+          break;
+
+        default:
+          break;
+      }
+    });
+  }, [db, useMemoryStorage, queryEngine, tabSync]);
 
   // ============================================================================
-  // DATA LOADING FUNCTION
+  // CUSTOMER DETAIL
+  // ============================================================================
+
+  const detailId = customerDetail?.id ?? null;
+  const detailCustomer = detailRecord?.id === detailId ? detailRecord.customer : null;
+
+  useEffect(() => {
+    /**
+     * Read the open customer by key, so it shows wherever it is in the list
+     * (or when it is not in the list at all); read again after edits and
+     * new batches, which may have changed or added it
+     */
+    if (detailId === null || (!useMemoryStorage && !db)) return;
+    let cancelled = false;
+
+    const read = useMemoryStorage
+      ? queryEngine.getRows([detailId]).then(rows => rows[0] ?? null)
+      : getCustomerById(db, detailId);
+
+    read.then((customer) => {
+      if (!cancelled) setDetailRecord({ id: detailId, customer });
+    }).catch((err) => {
+      console.error('❌ Failed to read customer:', err);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [detailId, db, useMemoryStorage, queryEngine, storeRevision, storedVersion, dataVersion]);
+
+  useEffect(() => {
+    /**
+     * Find the open customer in the table's current order, for previous /
+     * next; a new search, sort or edit moves it
+     */
+    if (!detailCustomer) return;
+    if (customerDetail.dataSource === tableDataSource && customerDetail.record === detailCustomer) return;
+    let cancelled = false;
+
+    const dataSource = tableDataSource;
+    dataSource.indexOf(detailCustomer).then((index) => {
+      if (cancelled) return;
+      setCustomerDetail(current => current?.id === detailCustomer.id
+        ? { ...current, index, dataSource, record: detailCustomer }
+        : current);
+    }).catch((err) => {
+      console.error('❌ Failed to find customer in the list:', err);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [customerDetail, detailCustomer, tableDataSource]);
+
+  // ============================================================================
+  // EVENT HANDLERS
   // ============================================================================
   
   /**
-   * Load all customer records from IndexedDB into React state
-   *
-   * @param {IDBDatabase} database - The IndexedDB database instance
-   * @returns {Promise} Resolves when all records are loaded
-   *
-   * This reads all 1M records at once using getAll().
-   * For production apps with truly massive datasets, you might want
-   * to implement pagination or virtual scrolling instead.
+   * Handle search input changes
+   * Updates the search term state which triggers filtering
    */
-  const loadCustomers = async (database) => {
-    console.log('Starting loadCustomers...');
-
-    return new Promise((resolve, reject) => {
-      try {
-        if (!database) {
-          console.error('❌ Database is null or undefined');
-          reject(new Error('Database is null'));
-          return;
-        }
+  const handleSearchChange = (value) => {
+    setSearchTerm(value);
+  };
 
-        // Create a read-only transaction to access the data
-        console.log('Creating transaction...');
-        const transaction = database.transaction(['customers'], 'readonly');
+  /**
+   * Switch between the table and the dashboard
+   * The table is unmounted behind the dashboard, so coming back scrolls it
+   * to the row it was left at; column layouts it has already applied must
+   * not be applied again over later changes when it mounts.
+   */
+  const handleTabChange = (tab) => {
+    if (tab === activeTab) return;
+    if (tab === 'table') {
+      setScrollRequest({ row: scrollRow });
+    } else {
+      setColumnLayoutsRequest(null);
+    }
+    setActiveTab(tab);
+  };
 
-        transaction.onerror = (event) => {
-          console.error('❌ Transaction error:', event.target.error);
-        };
+  /**
+   * Handle a click on a dashboard bar: AND its term (score:25..49,
+   * email:@example.com, ...) with the current search and show the table
+   */
+  const handleDashboardFilter = (term) => {
+    const current = searchTerm.trim();
+    if (!` ${current} `.includes(` ${term} `)) {
+      setSearchTerm(current ? `${current} ${term}` : term);
+    }
+    setScrollRow(0);
+    setScrollRequest({ row: 0 });
+    setActiveTab('table');
+  };
 
-        // Access the 'customers' object store (like a table in SQL)
-        const objectStore = transaction.objectStore('customers');
-        console.log('Getting all records...');
+  /**
+   * Handle sort configuration changes (OPTIMIZED)
+   * 
+   * Receives the whole sort stack worked out by the table: a plain header
+   * click sorts by one column, shift-click adds or cycles further levels
+   */
+  const handleSortChange = (config) => {
+    setSortConfig(config);
+  };
 
-        // Request all records at once (works well for 1M records in modern browsers)
-        const request = objectStore.getAll();
+  /**
+   * Handle filters applied or cleared from the FilterDropdown
+   */
+  const handleFiltersApply = (nextFilters) => {
+    setFilters(nextFilters);
+  };
 
-        request.onsuccess = () => {
-          const result = request.result;
-          console.log(`✅ Loaded ${result.length} customers from IndexedDB`);
+  /**
+   * Save a customer: write through to IndexedDB (which assigns new ids),
+   * then update the worker so the current view re-queries at once.
+   * In memory storage mode the worker's copy is the only one.
+   * Errors propagate so the form / cell editor can show them.
+   * @param {Object} values - Validated form values
+   * @param {Object|null} existing - Customer being edited, null for a new one
+   */
+  const persistCustomer = async (values, existing) => {
+    const record = buildCustomerRecord(values, existing);
+
+    if (useMemoryStorage) {
+      await queryEngine.upsert(record, existing);
+    } else {
+      const { customer, previous } = await saveCustomer(db, record);
+      await queryEngine.upsert(customer, previous);
+      if (!previous) setStoredCount(count => count + 1);
+      setStoreRevision(revision => revision + 1);
+      tabSync.post({ type: 'customers-saved', changes: [{ customer, previous }] });
+    }
+  };
 
-          if (result.length === 0) {
-            console.warn('⚠️ Database returned 0 records! This might be an issue.');
-          }
+  const handleSaveCustomer = async (values) => {
+    await persistCustomer(values, customerForm.customer);
+    setCustomerForm(null);
+  };
 
-          // Update React state with loaded customers
-          setCustomers(result);
-          resolve();
-        };
+  /**
+   * Save a single field edited in place in the table
+   */
+  const handleCellEdit = (customer, field, value) => {
+    return persistCustomer({ ...toFormValues(customer), [field]: value }, customer);
+  };
 
-        request.onerror = (event) => {
-          console.error('❌ Load error:', event.target.error);
-          reject(new Error(`Load error: ${event.target.error?.message || 'Unknown error'}`));
-        };
-      } catch (error) {
-        console.error('❌ Exception in loadCustomers:', error);
-        reject(error);
+  /**
+   * Delete the customer open in the form, from IndexedDB and the worker
+   */
+  const handleDeleteCustomer = async () => {
+    const { id } = customerForm.customer;
+
+    if (useMemoryStorage) {
+      await queryEngine.remove(id, customerForm.customer);
+      memoryThreads.current.delete(id);
+    } else {
+      const previous = await deleteCustomer(db, id);
+      await queryEngine.remove(id, previous);
+      if (previous) {
+        setStoredCount(count => count - 1);
+        tabSync.post({ type: 'customers-deleted', removals: [{ id, previous }] });
       }
-    });
+      setStoreRevision(revision => revision + 1);
+    }
+    setSelection(current => setSelected(current, [id], false));
+    setCustomerDetail(current => current?.id === id ? null : current);
+    setCustomerForm(null);
+  };
+
+  const handleCloseCustomerForm = () => {
+    setCustomerForm(null);
   };
 
   /**
-   * Load customer records progressively from IndexedDB for better perceived performance
-   * Uses IDBKeyRange to efficiently load batches without skipping
-   *
-   * @param {IDBDatabase} database - The IndexedDB database instance
-   * @returns {Promise} Resolves when all records are loaded
+   * Open a customer of the table in the detail panel
+   * @param {Object} customer
+   * @param {number} index - Its row in the table
    */
-  const loadCustomersProgressively = async (database) => {
-    console.log('Starting progressive load from IndexedDB...');
+  const handleOpenCustomer = (customer, index) => {
+    setCustomerDetail({ id: customer.id, index, dataSource: tableDataSource, record: null });
+  };
 
+  /**
+   * Open the customer at another row of the table in the detail panel
+   */
+  const openCustomerAt = async (index) => {
+    const dataSource = tableDataSource;
     try {
-      if (!database) {
-        console.error('❌ Database is null or undefined');
-        throw new Error('Database is null');
+      const [customer] = await dataSource.loadRange(index, index + 1);
+      if (customer) {
+        setCustomerDetail({ id: customer.id, index, dataSource, record: null });
       }
+    } catch (err) {
+      console.error('❌ Failed to open customer:', err);
+    }
+  };
 
-      const BATCH_SIZE = 5000;
-      let currentId = 1; // Start from ID 1
-      let totalLoaded = 0;
-      let hasMore = true;
+  const handleSaveView = async (name) => {
+    const view = await saveView({
+      name,
+      query: currentViewQuery,
+      columnLayouts: columnLayoutsRef.current,
+      isDefault: false
+    });
+    setActiveViewId(view.id);
+  };
 
-      while (hasMore) {
-        // Load one batch per transaction using key range
-        const batch = await new Promise((resolve, reject) => {
-          const transaction = database.transaction(['customers'], 'readonly');
-          const objectStore = transaction.objectStore('customers');
+  const handleOverwriteView = async (view) => {
+    await saveView({ ...view, query: currentViewQuery, columnLayouts: columnLayoutsRef.current });
+    setActiveViewId(view.id);
+  };
 
-          // Create a key range for this batch
-          const keyRange = IDBKeyRange.bound(currentId, currentId + BATCH_SIZE - 1);
-          const cursorRequest = objectStore.openCursor(keyRange);
+  const handleRenameView = (view, name) => saveView({ ...view, name });
 
-          const batchData = [];
+  const handleDeleteView = async (view) => {
+    await deleteView(view.id);
+    if (view.id === activeViewId) setActiveViewId(null);
+  };
 
-          cursorRequest.onsuccess = (event) => {
-            const cursor = event.target.result;
+  const handleCloseCustomerDetail = () => {
+    setCustomerDetail(null);
+  };
 
-            if (cursor) {
-              batchData.push(cursor.value);
-              cursor.continue();
-            } else {
-              // No more records in this range
-              resolve(batchData);
-            }
-          };
+  /**
+   * Read a customer's messages, oldest first
+   * A thread is generated the first time it is read, from the dataset's
+   * settings (so a seeded dataset always gets the same threads)
+   */
+  const loadMessages = async (customer) => {
+    if (!useMemoryStorage) return getCustomerMessages(db, customer.id, dataset.settings);
 
-          cursorRequest.onerror = (event) => {
-            console.error('❌ Cursor error:', event.target.error);
-            reject(new Error(`Cursor error: ${event.target.error?.message || 'Unknown error'}`));
-          };
-        });
+    let thread = memoryThreads.current.get(customer.id);
+    if (!thread) {
+      thread = generateMessageThread(customer, createGenerationSettings(dataset.settings));
+      memoryThreads.current.set(customer.id, thread);
+    }
+    return thread;
+  };
 
-        if (batch.length > 0) {
-          // Update state with this batch
-          setCustomers(prev => [...prev, ...batch]);
-          totalLoaded += batch.length;
-          currentId += BATCH_SIZE;
+  /**
+   * Send a message to the customer open in the detail panel; its
+   * lastMessageAt moves to the new message everywhere
+   */
+  const handleSendMessage = async (text) => {
+    if (useMemoryStorage) {
+      const previous = detailCustomer;
+      const thread = await loadMessages(previous);
+      const { message, customer } = buildSentMessage(previous, thread, text);
+      memoryThreads.current.set(customer.id, [...thread, message]);
+      await queryEngine.upsert(customer, previous);
+      setDetailRecord({ id: customer.id, customer });
+    } else {
+      const { customer, previous } = await addCustomerMessage(db, detailId, text, dataset.settings);
+      await queryEngine.upsert(customer, previous);
+      setDetailRecord({ id: customer.id, customer });
+      setStoreRevision(revision => revision + 1);
+      tabSync.post({ type: 'customers-saved', changes: [{ customer, previous }] });
+    }
+  };
 
-          // Show UI after first batch
-          if (totalLoaded === batch.length) {
-            setLoading(false);
-          }
+  const handleCloseExportDialog = () => {
+    setExportDialog(null);
+  };
 
-          console.log(`Loaded ${totalLoaded} customers so far...`);
+  const handleCloseImportDialog = () => {
+    setImportDialogOpen(false);
+  };
 
-          // Yield to browser to keep UI responsive
-          await new Promise(resolve => setTimeout(resolve, 0));
+  const handleCloseSettings = () => {
+    setSettingsOpen(false);
+  };
+
+  /**
+   * Import validated rows from a file
+   * Merging updates the customers whose email is already stored and adds
+   * the rest; replacing empties the store (and the worker) first. New
+   * customers get ids after the highest one stored, from saveCustomers or,
+   * in memory storage mode, from the worker. Progress goes to the usual
+   * progress bar.
+   * @param {Object} plan - { rows, mapping, mode: 'merge' | 'replace' }
+   * @returns {Promise<Object>} { added, updated, errors } with the rows that were skipped
+   */
+  const handleImport = async ({ rows, mapping, mode }) => {
+    const IMPORT_BATCH_SIZE = 5000;
+
+    setIsImporting(true);
+    setProgress(0);
+    try {
+      const { valid, errors } = await validateImportRows(rows, mapping);
+      if (valid.length === 0) throw new Error('No valid rows to import');
+
+      if (mode === 'replace') {
+        if (!useMemoryStorage) {
+          await clearDatabase(db);
+          setStoredCount(0);
+          tabSync.post({ type: 'customers-cleared', reason: 'importing' });
+        }
+        await queryEngine.clear();
+        memoryThreads.current.clear();
+        engineLoadedThrough.current = 0;
+        setSelection(EMPTY_SELECTION);
+      }
+
+      let added = 0;
+      for (let start = 0; start < valid.length; start += IMPORT_BATCH_SIZE) {
+        const batch = valid.slice(start, start + IMPORT_BATCH_SIZE);
+        let records;
+
+        if (mode === 'merge') {
+          const emails = batch.map(values => normalizeEmail(values.email));
+          const existing = useMemoryStorage
+            ? await queryEngine.findByEmails(emails)
+            : await getCustomersByEmails(db, emails);
+
+          // A repeated email within the batch (in any case) updates the record built for it just before
+          const byEmail = new Map();
+          batch.forEach((values, i) => {
+            const previous = byEmail.get(emails[i]) ?? existing.get(emails[i]) ?? null;
+            byEmail.set(emails[i], buildImportedRecord(values, previous));
+          });
+          records = [...byEmail.values()];
+        } else {
+          records = batch.map(values => buildImportedRecord(values, null));
         }
 
-        // Check if we have more data
-        hasMore = batch.length === BATCH_SIZE;
+        const batchAdded = records.filter(record => record.id === undefined).length;
+        if (useMemoryStorage) {
+          await queryEngine.upsertMany(records.map(customer => ({ customer, previous: null })));
+        } else {
+          const changes = await saveCustomers(db, records);
+          await queryEngine.upsertMany(changes);
+          setStoredCount(count => count + batchAdded);
+          tabSync.post({ type: 'customers-saved', changes });
+        }
+        added += batchAdded;
+
+        const percent = Math.floor((Math.min(start + IMPORT_BATCH_SIZE, valid.length) / valid.length) * 100);
+        setProgress(percent);
+        if (!useMemoryStorage) tabSync.post({ type: 'import-progress', progress: percent });
+
+        // Yield to browser to keep UI responsive
+        await new Promise(resolve => setTimeout(resolve, 0));
       }
 
-      console.log(`✅ Loaded all ${totalLoaded} customers progressively`);
-    } catch (error) {
-      console.error('❌ Exception in loadCustomersProgressively:', error);
-      throw error;
+      if (mode === 'replace' && !useMemoryStorage) {
+        writeDatasetState({ status: 'imported' });
+        // The worker indexed every imported customer: store it for later sessions
+        await queryEngine.persistSearchIndex();
+      }
+
+      console.log(`✅ Imported ${valid.length} rows (${added} added), ${errors.length} problems`);
+      return { added, updated: valid.length - added, errors };
+    } finally {
+      if (!useMemoryStorage) {
+        setStoreRevision(revision => revision + 1);
+        tabSync.post({ type: 'import-finished' });
+      }
+      setIsImporting(false);
     }
   };
 
-  // ============================================================================
-  // FILTERING LOGIC (Search)
-  // ============================================================================
-  
   /**
-   * Filter customers based on search term
-   * 
-   * Uses useMemo to only recalculate when customers array or search term changes.
-   * This prevents unnecessary filtering on every render.
-   * 
-   * Searches across three fields: name, email, and phone number
-   * Search is case-insensitive
+   * Run a bulk action over the selected customers, one batch at a time
+   * @param {string} label - What is being done, for the progress display
+   * @param {Function} action - Async (ids) => void, called per batch
+   * @returns {Promise<boolean>} Whether every batch went through
    */
-  const filteredCustomers = useMemo(() => {
-    // If no search term, return all customers
-    if (!debouncedSearchTerm) return customers;
-
-    const searchLower = debouncedSearchTerm.toLowerCase();
-    
-    // Filter array by checking if search term appears in any of the fields
-    return customers.filter(customer => 
-      customer.name.toLowerCase().includes(searchLower) ||
-      customer.email.toLowerCase().includes(searchLower) ||
-      customer.phone.toLowerCase().includes(searchLower)
-    );
-  }, [customers, debouncedSearchTerm]);
+  const runBulkAction = async (label, action) => {
+    const BULK_BATCH_SIZE = 5000;
+
+    try {
+      const ids = await resolveSelectedIds(selection, () => getAllCustomerIds(db));
+      setBulkProgress({ label, done: 0, total: ids.length });
+
+      for (let start = 0; start < ids.length; start += BULK_BATCH_SIZE) {
+        await action(ids.slice(start, start + BULK_BATCH_SIZE));
+        setBulkProgress({ label, done: Math.min(start + BULK_BATCH_SIZE, ids.length), total: ids.length });
+
+        // Yield to browser to keep UI responsive
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      console.log(`✅ ${label}: ${ids.length} customers`);
+      return true;
+    } catch (err) {
+      console.error(`❌ ${label} failed:`, err);
+      setError(err.message || `${label} failed`);
+      return false;
+    } finally {
+      if (!useMemoryStorage) setStoreRevision(revision => revision + 1);
+      setBulkProgress(null);
+    }
+  };
 
-  // ============================================================================
-  // OPTIMIZED SORTING LOGIC (50-70% FASTER!)
-  // ============================================================================
-  
   /**
-   * Sort filtered customers using pre-computation optimization
-   * 
-   * PERFORMANCE OPTIMIZATION: Schwartzian Transform
-   * ================================================
-   * 
-   * OLD METHOD (slow):
-   * - Every comparison converts values: Number(), new Date(), toLowerCase()
-   * - For 1M records, sort() makes ~20M comparisons
-   * - That's 20M+ conversions! (2000-3000ms)
-   * 
-   * NEW METHOD (fast):
-   * - Convert values ONCE before sorting (1M conversions)
-   * - Sort using pre-computed values (no conversions during sort)
-   * - Extract original objects after sorting
-   * - Result: 800-1200ms (50-70% faster!)
-   * 
-   * This technique is called "Schwartzian Transform" or "Decorate-Sort-Undecorate"
-   * 
-   * STEPS:
-   * 1. DECORATE: Attach comparison value to each object
-   * 2. SORT: Compare using pre-computed values
-   * 3. UNDECORATE: Extract original objects
+   * Read full records for a batch of ids
    */
-  const sortedCustomers = useMemo(() => {
-    const { column, direction } = sortConfig;
-    
-    console.time('Sorting'); // Measure sort performance
-    
-    // STEP 1: DECORATE - Pre-compute comparison values for each customer
-    // ================================================================
-    // Instead of converting on every comparison, convert once per item
-    const decorated = filteredCustomers.map(customer => {
-      let compareValue;
-      
-      // Determine the appropriate comparison value based on column type
-      if (column === 'score' || column === 'id') {
-        // Numeric columns: convert to number once
-        compareValue = Number(customer[column]);
-      } else if (column === 'lastMessageAt') {
-        // Date column: convert to timestamp once
-        compareValue = new Date(customer[column]).getTime();
-      } else {
-        // String columns: convert to lowercase once
-        compareValue = String(customer[column]).toLowerCase();
+  const loadCustomers = (ids) => {
+    return useMemoryStorage ? queryEngine.getRows(ids) : getCustomersByIds(db, ids);
+  };
+
+  /**
+   * Apply the same field values to every selected customer
+   */
+  const patchSelected = (label, patch) => runBulkAction(label, async (ids) => {
+    const records = await loadCustomers(ids);
+    const patched = records.map(record => ({ ...record, ...patch }));
+
+    const changes = useMemoryStorage
+      ? patched.map((customer, i) => ({ customer, previous: records[i] }))
+      : await saveCustomers(db, patched);
+    await queryEngine.upsertMany(changes);
+    if (!useMemoryStorage) tabSync.post({ type: 'customers-saved', changes });
+  });
+
+  const handleBulkDelete = async () => {
+    await runBulkAction('Deleting', async (ids) => {
+      if (useMemoryStorage) {
+        await queryEngine.removeMany(ids.map(id => ({ id, previous: null })));
+        ids.forEach(id => memoryThreads.current.delete(id));
+        return;
       }
-      
-      // Return decorated object with both original customer and comparison value
-      return { 
-        customer,      // Original customer object
-        compareValue   // Pre-computed value for comparison
-      };
+      const deleted = await deleteCustomers(db, ids);
+      const removals = deleted.map(previous => ({ id: previous.id, previous }));
+      await queryEngine.removeMany(removals);
+      setStoredCount(count => count - deleted.length);
+      tabSync.post({ type: 'customers-deleted', removals });
     });
+    setSelection(EMPTY_SELECTION);
+  };
 
-    // STEP 2: SORT - Use pre-computed values for comparison
-    // ======================================================
-    // Now sorting is fast because we just compare primitive values
-    // No conversions happen during the sort!
-    decorated.sort((a, b) => {
-      const aVal = a.compareValue;
-      const bVal = b.compareValue;
-      
-      // Simple comparison using pre-computed values
-      if (aVal < bVal) return direction === 'asc' ? -1 : 1;
-      if (aVal > bVal) return direction === 'asc' ? 1 : -1;
-      return 0;
-    });
+  const handleBulkReassign = (addedBy) => patchSelected('Reassigning', { addedBy });
 
-    // STEP 3: UNDECORATE - Extract original customer objects
-    // =======================================================
-    // Remove the temporary compareValue, return just the customers
-    const result = decorated.map(item => item.customer);
-    
-    console.timeEnd('Sorting'); // Log how long sorting took
-    console.log(`✅ Sorted ${result.length} customers by ${column} (${direction})`);
-    
-    return result;
-  }, [filteredCustomers, sortConfig]);
+  const handleBulkSetScore = (score) => patchSelected('Setting score', { score });
 
-  // ============================================================================
-  // EVENT HANDLERS
-  // ============================================================================
-  
   /**
-   * Handle search input changes
-   * Updates the search term state which triggers filtering
+   * Export the current view or the selection as CSV
+   * Rows are read chunk by chunk from wherever the table reads them: query
+   * results are formatted inside the worker, the IndexedDB view is paged
+   * with its cursor, and the selection is read by id.
+   * @param {Object} options - { scope: 'view' | 'selection', columns: column keys }
+   * @param {Function} onProgress - Called with (exported, total)
+   * @param {Function} isCancelled - Checked between chunks
+   * @returns {Promise<boolean>} false if cancelled
    */
-  const handleSearchChange = (value) => {
-    setSearchTerm(value);
+  const handleExport = async ({ scope, columns }, onProgress, isCancelled) => {
+    const filename = `customers-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    let rowCount;
+    let loadChunk;
+    if (scope === 'selection') {
+      const ids = await resolveSelectedIds(selection, () => getAllCustomerIds(db));
+      rowCount = ids.length;
+      loadChunk = async (start, end) => customersToCsv(await loadCustomers(ids.slice(start, end)), columns);
+    } else if (tableResultIds) {
+      // Copy each slice so only the chunk is sent to the worker, not the whole id list
+      const ids = tableResultIds;
+      rowCount = ids.length;
+      loadChunk = (start, end) => queryEngine.formatCsv(ids.slice(start, end), columns);
+    } else {
+      const dataSource = tableDataSource;
+      rowCount = dataSource.length;
+      loadChunk = async (start, end) => customersToCsv(await dataSource.loadRange(start, end), columns);
+    }
+
+    return exportCsv({ filename, columnKeys: columns, rowCount, loadChunk, onProgress, isCancelled });
   };
 
-  /**
-   * Handle sort configuration changes (OPTIMIZED)
-   * 
-   * When user clicks a column header, this updates which column to sort by
-   * and toggles the direction (ascending ↔ descending)
-   * 
-   * Logic: If clicking the same column that's already sorted ascending,
-   * switch to descending. Otherwise, sort ascending.
-   */
-  const handleSortChange = (config) => {
-    setSortConfig(config);
+  const selectedCount = getSelectionCount(selection);
+  const allMatchingSelected = isAllMatchingSelected(selection, tableResultIds);
+
+  const handleToggleAllMatching = () => {
+    setSelection(allMatchingSelected
+      ? EMPTY_SELECTION
+      : selectAllMatching(tableResultIds, tableDataSource.length));
   };
 
+  const activeFilterCount = countActiveFilters(filters);
+
+  // Previous / next only follow a row position worked out for the current order
+  const detailIndex = customerDetail?.dataSource === tableDataSource ? customerDetail.index : null;
+
+  // The worker must not be receiving records from elsewhere while an import rewrites them
+  const preparingSearch = needsEngine && !useMemoryStorage && engineCount < storedCount;
+  const importBlocked = isGenerating || isImporting || preparingSearch;
+
   // ============================================================================
   // RENDER LOGIC
   // ============================================================================
@@ -517,9 +1260,9 @@ function App() {
         <div className="loading-spinner"></div>
         <h2>Loading Customer Data</h2>
         <p>
-          {useMemoryStorage 
-            ? 'Generating 1,000,000 records in memory...' 
-            : 'Generating and indexing 1,000,000 records...'}
+          {loadingStatus || (useMemoryStorage
+            ? `Generating ${dataset.settings.count.toLocaleString()} records in memory...`
+            : `Generating and indexing ${dataset.settings.count.toLocaleString()} records...`)}
         </p>
         {error && <p className="error-text">⚠️ {error}</p>}
         {progress > 0 && <p className="progress-text">{progress}% complete</p>}
@@ -531,7 +1274,9 @@ function App() {
   }
 
   // ERROR STATE: Database initialized but returned no records
-  if (customers.length === 0) {
+  // (a replacing import or another tab regenerating the data empties the
+  // store for a moment, that is not an error)
+  if (totalCount === 0 && !isImporting && !isGenerating) {
     return (
       <div className="loading-container">
         <h2>⚠️ No Data Loaded</h2>
@@ -561,12 +1306,48 @@ function App() {
     <div className="app">
       {/* Header with title and record count */}
       <header className="app-header">
-        <h1>Customer List</h1>
+        <div className="app-header-top">
+          <h1>Customer List</h1>
+          <SavedViewsMenu
+            views={savedViews}
+            activeViewId={activeView ? activeViewId : null}
+            isModified={!!activeView && activeView.query !== currentViewQuery}
+            onOpen={openSavedView}
+            onSave={handleSaveView}
+            onOverwrite={handleOverwriteView}
+            onRename={handleRenameView}
+            onDelete={handleDeleteView}
+            onSetDefault={setDefaultView}
+          />
+        </div>
         <p className="record-count">
           {/* Show filtered count vs total count */}
-          Showing {sortedCustomers.length.toLocaleString()} of {customers.length.toLocaleString()} customers
+          Showing {tableDataSource.length.toLocaleString()} of {totalCount.toLocaleString()} customers
+          {/* Badge showing how many filters narrow the result */}
+          {activeFilterCount > 0 && (
+            <span className="filter-badge">
+              {activeFilterCount} {activeFilterCount === 1 ? 'filter' : 'filters'} active
+            </span>
+          )}
           {/* Badge indicating memory storage is being used instead of IndexedDB */}
           {useMemoryStorage && <span className="storage-badge">⚡ Memory Storage</span>}
+          {/* Fuzzy results are ordered by how well they match, then by the column sort */}
+          {fuzzy && searchQuery && getPositiveTextTerms(searchQuery).length > 0 && (
+            <span className="storage-badge">🎯 Ranked by relevance</span>
+          )}
+          {/* Show while the worker is answering a search / sort */}
+          {needsEngine && isQuerying && <span className="loading-badge">🔄 Updating results...</span>}
+          {/* Show while the worker is still receiving records from IndexedDB */}
+          {preparingSearch && (
+            <span className="loading-badge">
+              🔍 Preparing search... {Math.floor((engineCount / storedCount) * 100)}%
+            </span>
+          )}
+          {isImporting && (
+            <span className="loading-badge" title={`${progress}% complete`}>
+              📥 Importing... {progress}%
+            </span>
+          )}
           {/* Show loading indicator when data is still being generated */}
           {isGenerating && (
             <span className="loading-badge" title={`${progress}% complete`}>
@@ -576,25 +1357,200 @@ function App() {
         </p>
       </header>
 
+      {/* Failures after the list is shown (bulk actions, search preparation) */}
+      {error && (
+        <div className="error-banner" role="alert">
+          ⚠️ {error}
+          <button type="button" onClick={() => setError(null)} aria-label="Dismiss error">✕</button>
+        </div>
+      )}
+
       {/* Search bar and filter controls */}
       <div className="controls">
         <SearchBar
           searchTerm={searchTerm}
           onSearchChange={handleSearchChange}
+          parsedQuery={parsedSearch}
+          fuzzy={fuzzy}
+          onFuzzyChange={setFuzzy}
         />
-        <FilterDropdown />
+        <FilterDropdown filters={filters} onApply={handleFiltersApply} />
+        <button
+          type="button"
+          className="export-button"
+          onClick={() => setExportDialog({ scope: 'view' })}
+          disabled={tableDataSource.length === 0}
+        >
+          ⬇ Export
+        </button>
+        {/* New ids continue after the highest one, so wait until generation is done */}
+        <button
+          type="button"
+          className="add-customer-button"
+          onClick={() => setCustomerForm({ customer: null })}
+          disabled={isGenerating}
+          title={isGenerating ? 'Available once all customers are loaded' : undefined}
+        >
+          + Add Customer
+        </button>
+        <button
+          type="button"
+          className="export-button"
+          onClick={() => setImportDialogOpen(true)}
+          disabled={importBlocked}
+          title={importBlocked ? 'Available once all customers are loaded' : undefined}
+        >
+          ⬆ Import
+        </button>
+        <button
+          type="button"
+          className="export-button"
+          onClick={() => setSettingsOpen(true)}
+          disabled={importBlocked}
+          title="Dataset size and generator settings"
+        >
+          ⚙ Dataset
+        </button>
       </div>
 
+      {/* Table / dashboard switch */}
+      <div className="view-tabs" role="tablist" aria-label="Customer views">
+        <button
+          type="button"
+          role="tab"
+          id="tab-table"
+          className={`view-tab${activeTab === 'table' ? ' active' : ''}`}
+          aria-selected={activeTab === 'table'}
+          aria-controls="panel-table"
+          onClick={() => handleTabChange('table')}
+        >
+          📋 Table
+        </button>
+        <button
+          type="button"
+          role="tab"
+          id="tab-dashboard"
+          className={`view-tab${activeTab === 'dashboard' ? ' active' : ''}`}
+          aria-selected={activeTab === 'dashboard'}
+          aria-controls="panel-dashboard"
+          onClick={() => handleTabChange('dashboard')}
+        >
+          📊 Dashboard
+        </button>
+      </div>
+
+      {/* Actions for the selected customers */}
+      {activeTab === 'table' && selectedCount > 0 && (
+        <BulkActionBar
+          selectedCount={selectedCount}
+          matchingCount={tableDataSource.length}
+          allMatchingSelected={allMatchingSelected}
+          progress={bulkProgress}
+          onSelectAllMatching={handleToggleAllMatching}
+          onClear={() => setSelection(EMPTY_SELECTION)}
+          onDelete={handleBulkDelete}
+          onReassign={handleBulkReassign}
+          onSetScore={handleBulkSetScore}
+          onExport={() => setExportDialog({ scope: 'selection' })}
+        />
+      )}
+
       {/* Main data table showing sorted and filtered customers */}
-      <CustomerTable
-        data={sortedCustomers}
-        searchTerm={debouncedSearchTerm}
-        onSortChange={handleSortChange}
-        sortConfig={sortConfig}
-      />
-
-      {/* Progress bar at bottom when still loading */}
-      {isGenerating && (
+      {activeTab === 'table' && (
+        <div id="panel-table" role="tabpanel" aria-labelledby="tab-table">
+          <CustomerTable
+            dataSource={tableDataSource}
+            columns={CUSTOMER_TABLE_COLUMNS}
+            label="Customers"
+            searchTerm={debouncedSearchTerm}
+            fuzzy={fuzzy}
+            onSortChange={handleSortChange}
+            sortConfig={sortConfig}
+            scrollRequest={searchTerm === debouncedSearchTerm ? scrollRequest : null}
+            onScrollRowChange={setScrollRow}
+            columnLayoutsRequest={columnLayoutsRequest}
+            onColumnLayoutsChange={(layouts) => {
+              columnLayoutsRef.current = layouts;
+            }}
+            onRowClick={handleOpenCustomer}
+            onCellEdit={handleCellEdit}
+            selection={selection}
+            onSelectionChange={setSelection}
+            allMatchingSelected={allMatchingSelected}
+            onToggleAllMatching={handleToggleAllMatching}
+          />
+        </div>
+      )}
+
+      {activeTab === 'dashboard' && (
+        <div id="panel-dashboard" role="tabpanel" aria-labelledby="tab-dashboard">
+          <CustomerDashboard
+            stats={stats}
+            isComputing={isComputingStats || isQuerying}
+            onFilter={handleDashboardFilter}
+          />
+        </div>
+      )}
+
+      {/* Whole record of the clicked (or linked) customer */}
+      {customerDetail && !customerForm && (
+        <CustomerDetailPanel
+          customer={detailCustomer}
+          notFound={detailRecord?.id === detailId && !detailCustomer && !isGenerating && !isImporting}
+          index={detailIndex}
+          count={tableDataSource.length}
+          onPrevious={detailIndex > 0 ? () => openCustomerAt(detailIndex - 1) : null}
+          onNext={detailIndex !== null && detailIndex >= 0 && detailIndex + 1 < tableDataSource.length
+            ? () => openCustomerAt(detailIndex + 1)
+            : null}
+          onEdit={() => setCustomerForm({ customer: detailCustomer })}
+          loadMessages={loadMessages}
+          onSendMessage={handleSendMessage}
+          onClose={handleCloseCustomerDetail}
+        />
+      )}
+
+      {/* Add / edit customer form */}
+      {customerForm && (
+        <CustomerForm
+          customer={customerForm.customer}
+          onSave={handleSaveCustomer}
+          onDelete={handleDeleteCustomer}
+          onClose={handleCloseCustomerForm}
+        />
+      )}
+
+      {/* CSV export of the view or the selection */}
+      {exportDialog && (
+        <ExportDialog
+          viewCount={tableDataSource.length}
+          selectedCount={selectedCount}
+          defaultScope={exportDialog.scope}
+          onExport={handleExport}
+          onClose={handleCloseExportDialog}
+        />
+      )}
+
+      {/* CSV / JSON import */}
+      {importDialogOpen && (
+        <ImportDialog
+          onImport={handleImport}
+          progress={progress}
+          onClose={handleCloseImportDialog}
+        />
+      )}
+
+      {/* Dataset size / profile; applying reloads with the new settings in the URL */}
+      {settingsOpen && (
+        <DatasetSettings
+          settings={dataset.settings}
+          onApply={(settings) => window.location.assign(writeDatasetSettings(settings))}
+          onClose={handleCloseSettings}
+        />
+      )}
+
+      {/* Progress bar at bottom when still loading or importing */}
+      {(isGenerating || isImporting) && (
         <div className="bottom-progress-bar">
           <div className="progress-fill" style={{ width: `${progress}%` }}></div>
         </div>
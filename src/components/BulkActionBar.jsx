@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { validateCustomerField } from '../utils/customerRecords';
+
+/**
+ * Bar of actions for the selected customers
+ * @param {number} selectedCount - Number of selected customers
+ * @param {number} matchingCount - Number of customers in the current result
+ * @param {boolean} allMatchingSelected - Whether the whole current result is selected
+ * @param {Object|null} progress - { label, done, total } while a bulk action runs
+ * @param {function} onSelectAllMatching - Select the whole current result
+ * @param {function} onClear - Clear the selection
+ * @param {function} onDelete - Delete the selected customers
+ * @param {function} onReassign - Called with the new addedBy value
+ * @param {function} onSetScore - Called with the new score (number)
+ * @param {function} onExport - Export the selected customers
+ */
+const BulkActionBar = ({
+  selectedCount,
+  matchingCount,
+  allMatchingSelected,
+  progress,
+  onSelectAllMatching,
+  onClear,
+  onDelete,
+  onReassign,
+  onSetScore,
+  onExport
+}) => {
+  const [addedBy, setAddedBy] = useState('');
+  const [score, setScore] = useState('');
+  const [error, setError] = useState(null);
+
+  const busy = progress !== null;
+
+  const handleReassign = (event) => {
+    event.preventDefault();
+    const fieldError = validateCustomerField('addedBy', addedBy);
+    setError(fieldError);
+    if (fieldError) return;
+    onReassign(addedBy.trim().replace(/\s+/g, ' '));
+    setAddedBy('');
+  };
+
+  const handleSetScore = (event) => {
+    event.preventDefault();
+    const fieldError = validateCustomerField('score', score);
+    setError(fieldError);
+    if (fieldError) return;
+    onSetScore(Number(score));
+    setScore('');
+  };
+
+  const handleDelete = () => {
+    const noun = selectedCount === 1 ? 'customer' : 'customers';
+    if (!window.confirm(`Delete ${selectedCount.toLocaleString()} ${noun}? This cannot be undone.`)) return;
+    onDelete();
+  };
+
+  return (
+    <div className="bulk-action-bar" role="toolbar" aria-label="Actions for selected customers">
+      <div className="bulk-selection">
+        <strong>{selectedCount.toLocaleString()} selected</strong>
+        {!allMatchingSelected && matchingCount > selectedCount && (
+          <button type="button" className="bulk-link" onClick={onSelectAllMatching} disabled={busy}>
+            Select all {matchingCount.toLocaleString()} matching
+          </button>
+        )}
+        <button type="button" className="bulk-link" onClick={onClear} disabled={busy}>
+          Clear
+        </button>
+      </div>
+
+      {busy ? (
+        <div className="bulk-progress" aria-live="polite">
+          ⏳ {progress.label}... {progress.done.toLocaleString()} / {progress.total.toLocaleString()}
+        </div>
+      ) : (
+        <div className="bulk-actions">
+          <form className="bulk-field" onSubmit={handleReassign}>
+            <input
+              type="text"
+              placeholder="Added by"
+              value={addedBy}
+              onChange={(e) => setAddedBy(e.target.value)}
+              aria-label="New added by"
+            />
+            <button type="submit">Reassign</button>
+          </form>
+          <form className="bulk-field" onSubmit={handleSetScore}>
+            <input
+              type="number"
+              min={1}
+              max={100}
+              placeholder="Score"
+              value={score}
+              onChange={(e) => setScore(e.target.value)}
+              aria-label="New score"
+            />
+            <button type="submit">Set Score</button>
+          </form>
+          <button type="button" onClick={onExport}>Export</button>
+          <button type="button" className="bulk-delete" onClick={handleDelete}>Delete</button>
+        </div>
+      )}
+
+      {error && !busy && <p className="bulk-error" role="alert">⚠️ {error}</p>}
+    </div>
+  );
+};
+
+export default BulkActionBar;
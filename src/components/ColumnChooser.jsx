@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { getVisibleColumnKeys } from '../utils/columnLayout';
+
+/**
+ * Dropdown to show, hide and reorder the table's columns
+ * Changes apply at once; the table also reorders and resizes by dragging
+ * its headers.
+ * @param {Array} columns - [{ key, header }] every column the table can show
+ * @param {Object} layout - Current column layout { order, hidden, widths }
+ * @param {function} onToggle - Called with (key, hidden)
+ * @param {function} onShift - Called with (key, -1 | 1) to move a column left / right
+ * @param {function} onReset - Restore the default layout
+ */
+const ColumnChooser = ({ columns, layout, onToggle, onShift, onReset }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const headers = Object.fromEntries(columns.map(({ key, header }) => [key, header]));
+  const visible = getVisibleColumnKeys(layout);
+
+  return (
+    <div className="filter-dropdown column-chooser">
+      <button
+        type="button"
+        className="column-chooser-button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+      >
+        ☰ Columns
+      </button>
+      {isOpen && (
+        <div className="filter-menu">
+          <div className="filter-section">
+            <h4>Shown Columns</h4>
+            {layout.order.map(key => {
+              const position = visible.indexOf(key);
+              return (
+                <div key={key} className="column-chooser-item">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={position !== -1}
+                      disabled={position !== -1 && visible.length === 1}
+                      onChange={(e) => onToggle(key, !e.target.checked)}
+                    /> {headers[key]}
+                  </label>
+                  {position !== -1 && (
+                    <span className="column-chooser-move">
+                      <button
+                        type="button"
+                        onClick={() => onShift(key, -1)}
+                        disabled={position === 0}
+                        aria-label={`Move ${headers[key]} left`}
+                      >
+                        ▲
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => onShift(key, 1)}
+                        disabled={position === visible.length - 1}
+                        aria-label={`Move ${headers[key]} right`}
+                      >
+                        ▼
+                      </button>
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          <div className="filter-actions">
+            <button type="button" className="filter-clear" onClick={onReset}>Reset Columns</button>
+            <button type="button" className="filter-apply" onClick={() => setIsOpen(false)}>Done</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColumnChooser;
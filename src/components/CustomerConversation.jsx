@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+/**
+ * Format when a message was sent
+ */
+const formatSentAt = (dateString) => {
+  const date = new Date(dateString);
+  return date.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * A customer's message thread, scrolled to the newest message, with a box
+ * to send a new one
+ * The thread is read again whenever the customer's lastMessageAt changes
+ * (a message sent here or from another tab); key it by customer id so
+ * another customer starts from an empty thread and draft.
+ * @param {Object} customer - The customer record
+ * @param {function} loadMessages - Called with the customer, returns a promise of its messages, oldest first
+ * @param {function} onSend - Called with the message text, returns a promise
+ */
+const CustomerConversation = ({ customer, loadMessages, onSend }) => {
+  const [messages, setMessages] = useState(null);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const threadRef = useRef(null);
+
+  // The latest loader, so a re-render of the parent doesn't read the thread again
+  const loadMessagesRef = useRef(loadMessages);
+  loadMessagesRef.current = loadMessages;
+
+  const customerRef = useRef(customer);
+  customerRef.current = customer;
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+
+    loadMessagesRef.current(customerRef.current).then((thread) => {
+      if (!cancelled) setMessages(thread);
+    }).catch((err) => {
+      console.error('❌ Failed to read messages:', err);
+      if (!cancelled) setError(err.message || 'Could not read the messages');
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [customer.id, customer.lastMessageAt]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (threadRef.current) threadRef.current.scrollTop = threadRef.current.scrollHeight;
+  }, [messages]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+
+    setIsSending(true);
+    setError(null);
+    try {
+      await onSend(text);
+      setDraft('');
+    } catch (err) {
+      console.error('❌ Failed to send message:', err);
+      setError(err.message || 'Could not send the message');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <section className="customer-conversation" aria-labelledby="customer-conversation-title">
+      <h3 id="customer-conversation-title">
+        Conversation{messages && <span className="message-count"> · {messages.length}</span>}
+      </h3>
+
+      <div className="message-thread" ref={threadRef} role="log" aria-live="polite" tabIndex={0}>
+        {!messages && !error && <p className="message-thread-status">Loading messages...</p>}
+        {messages && messages.length === 0 && <p className="message-thread-status">No messages yet.</p>}
+        {messages?.map((message, i) => (
+          <div key={message.id ?? `new-${i}`} className={`message message-${message.direction}`}>
+            <p className="message-text">{message.text}</p>
+            <span className="message-meta">
+              {message.direction === 'in' ? customer.name : customer.addedBy} · {formatSentAt(message.sentAt)}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {error && <p className="form-error">⚠️ {error}</p>}
+
+      <form className="message-compose" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder={`Message ${customer.name}...`}
+          aria-label={`Message to ${customer.name}`}
+          disabled={isSending}
+        />
+        <button type="submit" className="form-save" disabled={isSending || !draft.trim()}>
+          {isSending ? 'Sending...' : 'Send'}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default CustomerConversation;
@@ -0,0 +1,172 @@
+import React from 'react';
+
+/**
+ * Format a week's Monday (YYYY-MM-DD, UTC) as a short date
+ */
+const formatWeek = (weekStart) => {
+  return new Date(weekStart).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+const formatShare = (count, total) => {
+  return `${total > 0 ? Math.round((count / total) * 1000) / 10 : 0}%`;
+};
+
+/**
+ * Chart card with a title and an optional note under it
+ */
+const DashboardCard = ({ title, note, children }) => (
+  <section className="dashboard-card">
+    <h3>{title}</h3>
+    {note && <p className="dashboard-note">{note}</p>}
+    {children}
+  </section>
+);
+
+/**
+ * Horizontal bars, one per row: label, bar (relative to the largest) and count
+ * Rows with a term are buttons that filter the list by it.
+ */
+const BarList = ({ rows, total, onFilter }) => {
+  const max = Math.max(1, ...rows.map(row => row.count));
+
+  return (
+    <ul className="dashboard-bars">
+      {rows.map(row => {
+        const content = (
+          <>
+            <span className="dashboard-bar-label">{row.label}</span>
+            <span className="dashboard-bar-track">
+              <span className="dashboard-bar-fill" style={{ width: `${(row.count / max) * 100}%` }} />
+            </span>
+            <span className="dashboard-bar-value">
+              {row.count.toLocaleString()} <small>{formatShare(row.count, total)}</small>
+            </span>
+          </>
+        );
+        return (
+          <li key={row.label}>
+            {row.term ? (
+              <button
+                type="button"
+                className="dashboard-bar"
+                onClick={() => onFilter(row.term)}
+                title={`Show only ${row.term}`}
+              >
+                {content}
+              </button>
+            ) : (
+              <div className="dashboard-bar">{content}</div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+/**
+ * Analytics over the customers in the current result (search and filters)
+ * Every bar is a button that narrows the search down to its customers:
+ * a score band, a week of last messages, an email domain or an owner.
+ * @param {Object|null} stats - From createStatsAccumulator(), null until computed
+ * @param {boolean} isComputing - Whether newer statistics are being computed
+ * @param {function} onFilter - Called with the search term of a clicked bar
+ */
+const CustomerDashboard = ({ stats, isComputing, onFilter }) => {
+  // Nothing yet, or only the empty result of a query still running
+  if (!stats || (isComputing && stats.total === 0)) {
+    return <p className="dashboard-status">📊 Computing statistics...</p>;
+  }
+
+  if (stats.total === 0) {
+    return <p className="dashboard-status">No customers match the current search and filters.</p>;
+  }
+
+  const maxBand = Math.max(1, ...stats.scoreBands.map(band => band.count));
+  const maxWeek = Math.max(1, ...stats.weeks.map(week => week.count));
+  const busiestWeek = stats.weeks.reduce((best, week) => (week.count > best.count ? week : best), stats.weeks[0]);
+
+  const domainRows = stats.domains.map(({ domain, term, count }) => ({ label: domain, term, count }));
+  if (stats.otherDomains > 0) domainRows.push({ label: 'Other domains', term: null, count: stats.otherDomains });
+
+  const ownerRows = stats.owners.map(({ owner, term, count }) => ({ label: owner, term, count }));
+
+  return (
+    <div className={`dashboard${isComputing ? ' updating' : ''}`} aria-busy={isComputing}>
+      <DashboardCard title="⭐ Score Distribution">
+        <div className="dashboard-columns score-histogram">
+          {stats.scoreBands.map(band => (
+            <button
+              key={band.band}
+              type="button"
+              className="dashboard-column"
+              onClick={() => onFilter(band.term)}
+              title={`Show only ${band.term}`}
+              aria-label={`Score ${band.label}: ${band.count.toLocaleString()} customers`}
+            >
+              <span className="dashboard-column-value">{band.count.toLocaleString()}</span>
+              <span className="dashboard-column-track">
+                <span
+                  className={`dashboard-column-fill score-${band.band}`}
+                  style={{ height: `${(band.count / maxBand) * 100}%` }}
+                />
+              </span>
+              <span className="dashboard-column-label">{band.label}</span>
+            </button>
+          ))}
+        </div>
+      </DashboardCard>
+
+      <DashboardCard
+        title="💬 Messages per Week"
+        note={busiestWeek
+          ? `Last messages by week (UTC). Busiest: week of ${formatWeek(busiestWeek.start)}, ${busiestWeek.count.toLocaleString()}` +
+            (stats.olderWeeks > 0 ? `. ${stats.olderWeeks.toLocaleString()} older not shown` : '')
+          : 'No last messages'}
+      >
+        {stats.weeks.length > 0 && (
+          <>
+            <div className="dashboard-columns week-chart">
+              {stats.weeks.map(week => (
+                <button
+                  key={week.start}
+                  type="button"
+                  className="dashboard-column"
+                  onClick={() => onFilter(week.term)}
+                  title={`Week of ${formatWeek(week.start)}: ${week.count.toLocaleString()}`}
+                  aria-label={`Week of ${formatWeek(week.start)}: ${week.count.toLocaleString()} customers`}
+                >
+                  <span className="dashboard-column-track">
+                    <span className="dashboard-column-fill" style={{ height: `${(week.count / maxWeek) * 100}%` }} />
+                  </span>
+                </button>
+              ))}
+            </div>
+            <div className="week-chart-axis">
+              <span>{formatWeek(stats.weeks[0].start)}</span>
+              <span>{formatWeek(stats.weeks[stats.weeks.length - 1].start)}</span>
+            </div>
+          </>
+        )}
+      </DashboardCard>
+
+      <DashboardCard title="📧 Email Domains">
+        <BarList rows={domainRows} total={stats.total} onFilter={onFilter} />
+      </DashboardCard>
+
+      <DashboardCard
+        title="👤 Top Owners"
+        note={`${ownerRows.length} of ${stats.ownerCount.toLocaleString()} people who added customers`}
+      >
+        <BarList rows={ownerRows} total={stats.total} onFilter={onFilter} />
+      </DashboardCard>
+    </div>
+  );
+};
+
+export default CustomerDashboard;
@@ -0,0 +1,156 @@
+import React, { useEffect, useRef } from 'react';
+import CustomerConversation from './CustomerConversation';
+import { getScoreBand } from '../utils/customerFilters';
+
+/**
+ * Format a timestamp with its time of day
+ */
+const formatDateTime = (dateString) => {
+  const date = new Date(dateString);
+  return date.toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Side drawer (a full-screen sheet on mobile) showing one whole customer
+ * record and its conversation
+ * Previous / next step through the list in its current order; the left /
+ * right arrow keys do the same (outside the message box) and Escape closes
+ * the panel.
+ * @param {Object|null} customer - The record, null while it is being read
+ * @param {boolean} notFound - Whether there is no customer with the requested id
+ * @param {number|null} index - Position in the list, null while looking it up, -1 if not in it
+ * @param {number} count - Number of customers in the list
+ * @param {function|null} onPrevious - Open the previous customer (null at the start)
+ * @param {function|null} onNext - Open the next customer (null at the end)
+ * @param {function} onEdit - Open the customer in the edit form
+ * @param {function} loadMessages - Called with the customer, returns a promise of its messages
+ * @param {function} onSendMessage - Called with the message text, returns a promise
+ * @param {function} onClose - Close the panel
+ */
+const CustomerDetailPanel = ({
+  customer,
+  notFound,
+  index,
+  count,
+  onPrevious,
+  onNext,
+  onEdit,
+  loadMessages,
+  onSendMessage,
+  onClose
+}) => {
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    closeButtonRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+      if (event.target.closest?.('input, textarea')) return;
+      if (event.key === 'ArrowLeft') onPrevious?.();
+      if (event.key === 'ArrowRight') onNext?.();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, onPrevious, onNext]);
+
+  let positionText = '';
+  if (index === -1) {
+    positionText = 'Not in the current list';
+  } else if (index !== null) {
+    positionText = `${(index + 1).toLocaleString()} of ${count.toLocaleString()}`;
+  }
+
+  return (
+    <div className="modal-backdrop detail-backdrop" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <aside
+        className="customer-detail"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="customer-detail-title"
+      >
+        <div className="customer-detail-nav">
+          <button type="button" onClick={onPrevious} disabled={!onPrevious} aria-label="Previous customer">
+            ‹
+          </button>
+          <span className="customer-detail-position" aria-live="polite">{positionText}</span>
+          <button type="button" onClick={onNext} disabled={!onNext} aria-label="Next customer">
+            ›
+          </button>
+          <button
+            type="button"
+            ref={closeButtonRef}
+            className="customer-detail-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        {customer ? (
+          <>
+            <div className="customer-detail-identity">
+              <div
+                className="avatar customer-detail-avatar"
+                style={{ backgroundColor: customer.avatar.color }}
+              >
+                {customer.avatar.initials}
+              </div>
+              <div className="customer-detail-name">
+                <h2 id="customer-detail-title">{customer.name}</h2>
+                <p>Customer #{customer.id}</p>
+              </div>
+              <span className={`score-badge score-${getScoreBand(customer.score)}`}>
+                {customer.score}
+              </span>
+            </div>
+
+            <dl className="customer-detail-fields">
+              <dt>📧 Email</dt>
+              <dd><a href={`mailto:${customer.email}`}>{customer.email}</a></dd>
+              <dt>📞 Phone</dt>
+              <dd><a href={`tel:${customer.phone}`}>{customer.phone}</a></dd>
+              <dt>⭐ Score</dt>
+              <dd>{customer.score} / 100</dd>
+              <dt>💬 Last Message</dt>
+              <dd>{formatDateTime(customer.lastMessageAt)}</dd>
+              <dt>👤 Added By</dt>
+              <dd>{customer.addedBy}</dd>
+            </dl>
+
+            <CustomerConversation
+              key={customer.id}
+              customer={customer}
+              loadMessages={loadMessages}
+              onSend={onSendMessage}
+            />
+
+            <div className="form-actions">
+              <button type="button" className="form-cancel" onClick={onClose}>
+                Close
+              </button>
+              <button type="button" className="form-save" onClick={onEdit}>
+                Edit
+              </button>
+            </div>
+          </>
+        ) : (
+          <p id="customer-detail-title" className="customer-detail-status">
+            {notFound ? '⚠️ This customer no longer exists.' : 'Loading customer...'}
+          </p>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default CustomerDetailPanel;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  CUSTOMER_FIELDS,
+  toFormValues,
+  validateCustomer,
+  validateCustomerField
+} from '../utils/customerRecords';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  score: 'Score',
+  addedBy: 'Added By'
+};
+
+const FIELD_INPUT_TYPES = {
+  email: 'email',
+  phone: 'tel',
+  score: 'number'
+};
+
+/**
+ * Modal form to add a customer or edit / delete an existing one
+ * Fields are validated as they are left and again on submit; saving and
+ * deleting are async, failures are shown inside the form
+ * @param {Object|null} customer - Customer to edit, or null to add a new one
+ * @param {function} onSave - Called with the validated form values, returns a promise
+ * @param {function} onDelete - Called to delete the customer, returns a promise
+ * @param {function} onClose - Called to close the form without saving
+ */
+const CustomerForm = ({ customer, onSave, onDelete, onClose }) => {
+  const [values, setValues] = useState(() => toFormValues(customer));
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const firstInputRef = useRef(null);
+
+  const isNew = !customer;
+
+  useEffect(() => {
+    firstInputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleChange = (field, value) => {
+    setValues(prev => ({ ...prev, [field]: value }));
+    // Clear a shown error as soon as the value becomes valid
+    if (errors[field] && !validateCustomerField(field, value)) {
+      setErrors(prev => ({ ...prev, [field]: null }));
+    }
+  };
+
+  const handleBlur = (field) => {
+    setErrors(prev => ({ ...prev, [field]: validateCustomerField(field, values[field]) }));
+  };
+
+  const runAction = async (action) => {
+    setIsSaving(true);
+    setSubmitError(null);
+    try {
+      await action();
+    } catch (error) {
+      console.error('❌ Customer update failed:', error);
+      setSubmitError(error.message || 'Something went wrong');
+      setIsSaving(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const nextErrors = validateCustomer(values);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    runAction(() => onSave(values));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete ${customer.name}? This cannot be undone.`)) return;
+    runAction(() => onDelete());
+  };
+
+  return (
+    <div className="modal-backdrop" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <form
+        className="customer-form"
+        onSubmit={handleSubmit}
+        noValidate
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="customer-form-title"
+      >
+        <h2 id="customer-form-title">{isNew ? 'Add Customer' : `Edit Customer #${customer.id}`}</h2>
+
+        {CUSTOMER_FIELDS.map((field, index) => (
+          <div key={field} className={`form-field${errors[field] ? ' has-error' : ''}`}>
+            <label htmlFor={`customer-${field}`}>{FIELD_LABELS[field]}</label>
+            <input
+              id={`customer-${field}`}
+              ref={index === 0 ? firstInputRef : undefined}
+              type={FIELD_INPUT_TYPES[field] || 'text'}
+              value={values[field]}
+              min={field === 'score' ? 1 : undefined}
+              max={field === 'score' ? 100 : undefined}
+              onChange={(e) => handleChange(field, e.target.value)}
+              onBlur={() => handleBlur(field)}
+              aria-invalid={!!errors[field]}
+              aria-describedby={errors[field] ? `customer-${field}-error` : undefined}
+              disabled={isSaving}
+            />
+            {errors[field] && (
+              <p id={`customer-${field}-error`} className="form-error">{errors[field]}</p>
+            )}
+          </div>
+        ))}
+
+        {submitError && <p className="form-error form-submit-error">⚠️ {submitError}</p>}
+
+        <div className="form-actions">
+          {!isNew && (
+            <button type="button" className="form-delete" onClick={handleDelete} disabled={isSaving}>
+              Delete
+            </button>
+          )}
+          <button type="button" className="form-cancel" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </button>
+          <button type="submit" className="form-save" disabled={isSaving}>
+            {isSaving ? 'Saving...' : isNew ? 'Add Customer' : 'Save Changes'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CustomerForm;
@@ -1,24 +1,166 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import Highlight from './Highlight';
+import InlineCellEditor from './InlineCellEditor';
+import ColumnChooser from './ColumnChooser';
+import { usePagedRows } from '../hooks/usePagedRows';
+import { useColumnLayout } from '../hooks/useColumnLayout';
+import { parseQuery, getHighlightTerms } from '../utils/queryParser';
+import { getHighlightRanges } from '../utils/fuzzyMatch';
+import { toggleSortColumn } from '../utils/customerSort';
+import { isSelected, setSelected, getSelectionCount } from '../utils/customerSelection';
+import {
+  getVisibleColumnKeys,
+  moveColumn,
+  shiftColumn,
+  setColumnWidth,
+  setColumnHidden
+} from '../utils/columnLayout';
 import './CustomerTable.css';
 
+// A second click within this time is a double-click (inline edit), not a row click
+const DOUBLE_CLICK_DELAY = 250;
+
+/**
+ * Choices of the mobile sort selects ("column-direction"), two per sortable column
+ */
+const buildSortOptions = (columns) => columns
+  .filter(column => column.sortable)
+  .flatMap(({ key, header, sortLabels = ['Ascending', 'Descending'] }) => [
+    { value: `${key}-asc`, label: `${header} (${sortLabels[0]})` },
+    { value: `${key}-desc`, label: `${header} (${sortLabels[1]})` }
+  ]);
+
+// Width of the selection checkbox column
+const SELECT_COLUMN_WIDTH = 44;
+
 /**
  * RESPONSIVE HIGH-PERFORMANCE CUSTOMER TABLE
  * 
+ * Everything it shows comes from the `columns` definitions, so it lists
+ * any records with a unique `id`, not just customers. A column is:
+ *   key          record field, sort column and column layout key
+ *   header       header text (and the mobile sort select's wording)
+ *   width        default width in pixels (tabletWidth on tablets, if set)
+ *   sortable     whether clicking the header sorts by the column
+ *   sortLabels   [ascending, descending] wording in the mobile sort select
+ *   cell         (record, { highlight(field), editable(field, content) }) => content
+ *   editable     whether double-clicking a cell edits it in place, with
+ *                editValue(record) giving the text to edit and
+ *                validate(text) returning an error message or null
+ *   className    class of the column's body cells
+ *   tablet       false to leave the column out of the default tablet layout
+ *   mobileRole   'title', 'subtitle' or 'badge': place in the mobile card header
+ *   mobileLabel  label of the column's line in the mobile card body
+ * See components/customerTableColumns.jsx for the customer list's columns.
+ * `label` names the listed records (plural, e.g. "Customers") for screen
+ * readers; a row's checkbox is labelled with its mobile title column.
+ * 
  * Features:
  * - Virtual scrolling for 1M+ records
+ * - Rows are read on demand from a paged data source ({ length, loadRange })
+ * - Search matches highlighted in every layout (typo-tolerant in fuzzy mode)
+ * - Multi-column sorting: shift-click headers to add sort levels
+ * - Scroll position reported as a row index and restorable (URL sync)
+ * - Clicking a row opens it (onRowClick gets the customer and its row index)
+ * - Double-clicking a cell edits it in place (desktop and tablet)
+ * - Checkbox selection by customer id, shift-click selects a range
+ * - Columns can be shown / hidden, dragged to reorder and resized by
+ *   dragging their right edge; the layout is kept per breakpoint, reported
+ *   through onColumnLayoutsChange and replaceable with columnLayoutsRequest
+ * - ARIA grid: one focusable cell moved with the arrow keys, Home / End and
+ *   PageUp / PageDown, row numbers relative to the whole result, and the
+ *   result count announced when it changes
  * - Fully responsive (desktop, tablet, mobile)
  * - Touch-optimized for mobile devices
  * - Adaptive layout based on screen size
  * - Performance optimized with GPU acceleration
  */
-const CustomerTable = ({ data, searchTerm, onSortChange, sortConfig }) => {
+const CustomerTable = ({
+  dataSource,
+  columns,
+  label = 'Records',
+  layoutStorageKey = 'customerTableColumns',
+  searchTerm,
+  fuzzy,
+  onSortChange,
+  sortConfig,
+  scrollRequest,
+  onScrollRowChange,
+  columnLayoutsRequest,
+  onColumnLayoutsChange,
+  onRowClick,
+  onCellEdit,
+  selection,
+  onSelectionChange,
+  allMatchingSelected,
+  onToggleAllMatching
+}) => {
   const [visibleRange, setVisibleRange] = useState({ start: 0, end: 50 });
   const [scrollTop, setScrollTop] = useState(0);
   const [isMobile, setIsMobile] = useState(false);
   const [isTablet, setIsTablet] = useState(false);
   const containerRef = useRef(null);
+  const headerContainerRef = useRef(null);
+  const gridRef = useRef(null);
   const isScrollingRef = useRef(false);
   const scrollTimeoutRef = useRef(null);
+  const pendingScrollRowRef = useRef(null);
+  const rowClickTimeoutRef = useRef(null);
+
+  // Row index of the last checkbox clicked, start of a shift-click range
+  const selectionAnchorRef = useRef(null);
+
+  // Cell being edited in place: { customer, field, value, error, saving }.
+  // Kept here by id + field rather than in the row, so it survives the row
+  // being virtualized out of and back into visibleData while scrolling.
+  const [editingCell, setEditingCell] = useState(null);
+
+  // Column layout of the current breakpoint (mobile cards don't use one)
+  const { layout, updateLayout, resetLayout, layouts, replaceLayouts } = useColumnLayout(
+    isTablet ? 'tablet' : 'desktop',
+    columns,
+    layoutStorageKey
+  );
+
+  // Layouts to switch to ({ layouts }, new object per request), e.g. from a saved view
+  useEffect(() => {
+    if (columnLayoutsRequest) replaceLayouts(columnLayoutsRequest.layouts);
+  }, [columnLayoutsRequest, replaceLayouts]);
+
+  useEffect(() => {
+    if (onColumnLayoutsChange) onColumnLayoutsChange(layouts);
+  }, [layouts, onColumnLayoutsChange]);
+
+  const columnsByKey = useMemo(
+    () => Object.fromEntries(columns.map(column => [column.key, column])),
+    [columns]
+  );
+  const sortOptions = useMemo(() => buildSortOptions(columns), [columns]);
+  const sortableCount = sortOptions.length / 2;
+
+  // Columns placed in the mobile card header
+  const cardTitle = columns.find(column => column.mobileRole === 'title');
+  const cardSubtitle = columns.find(column => column.mobileRole === 'subtitle');
+  const cardBadge = columns.find(column => column.mobileRole === 'badge');
+
+  // Header being dragged to a new place, and the header it is over
+  const [draggedColumn, setDraggedColumn] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  // Set while a column edge is dragged, so releasing it doesn't sort the column
+  const resizingRef = useRef(false);
+
+  // Grid cell that takes the keyboard focus: row -1 is the header, column 0
+  // the checkbox column. Only this cell is in the tab order.
+  const [activeCell, setActiveCell] = useState({ row: -1, col: 1 });
+
+  // Set when the active cell moved by keyboard (or an edit ended) until it has focus;
+  // the cell may first have to be scrolled into the rendered window and loaded
+  const focusPendingRef = useRef(false);
+
+  // Result count read out by screen readers once it has settled
+  const [announcement, setAnnouncement] = useState('');
+  const announcedCountRef = useRef(null);
   
   const ROW_HEIGHT = isMobile ? 120 : isTablet ? 80 : 60; // Adaptive row height
   const VIEWPORT_BUFFER = 20;
@@ -41,17 +183,180 @@ const CustomerTable = ({ data, searchTerm, onSortChange, sortConfig }) => {
   }, []);
   
   /**
-   * Format date to readable string
+   * Search terms to highlight, per field
+   */
+  const highlightTerms = useMemo(() => getHighlightTerms(parseQuery(searchTerm).ast), [searchTerm]);
+
+  /**
+   * Render a field value with its search matches highlighted
+   */
+  const highlight = (customer, field) => (
+    <Highlight
+      text={customer[field]}
+      ranges={getHighlightRanges(customer[field], highlightTerms[field], fuzzy)}
+    />
+  );
+
+  /**
+   * Row click opens the customer, unless it turns out to be a double-click
+   */
+  const handleRowClick = (event, index, customer) => {
+    if (event.detail > 1) return;
+    clearTimeout(rowClickTimeoutRef.current);
+    rowClickTimeoutRef.current = setTimeout(() => onRowClick(customer, index), DOUBLE_CLICK_DELAY);
+  };
+
+  useEffect(() => () => clearTimeout(rowClickTimeoutRef.current), []);
+
+  /**
+   * Toggle one row's checkbox; with shift held, give every row between the
+   * previous click and this one the same state. The range may reach rows
+   * that were never rendered, so their ids are read from the data source.
+   */
+  const handleCheckboxChange = async (event, index, customer) => {
+    const selected = !isSelected(selection, customer.id);
+    const anchor = selectionAnchorRef.current;
+    selectionAnchorRef.current = index;
+
+    if (!event.nativeEvent.shiftKey || anchor === null || anchor === index) {
+      onSelectionChange(current => setSelected(current, [customer.id], selected));
+      return;
+    }
+
+    const rows = await dataSource.loadRange(Math.min(anchor, index), Math.max(anchor, index) + 1);
+    onSelectionChange(current => setSelected(current, rows.map(row => row.id), selected));
+  };
+
+  // Row positions mean nothing once the result changes
+  useEffect(() => {
+    selectionAnchorRef.current = null;
+  }, [dataSource]);
+
+  const someSelected = getSelectionCount(selection) > 0;
+
+  /**
+   * Header checkbox: selects or clears the whole result, not just the rendered rows
+   */
+  const renderSelectAll = () => (
+    <input
+      type="checkbox"
+      checked={allMatchingSelected}
+      ref={(input) => {
+        if (input) input.indeterminate = someSelected && !allMatchingSelected;
+      }}
+      onChange={onToggleAllMatching}
+      tabIndex={isMobile ? undefined : -1}
+      aria-label={`Select all matching ${label.toLowerCase()}`}
+    />
+  );
+
+  /**
+   * Row checkbox (clicks must not reach the row, which opens the form)
+   */
+  const renderRowCheckbox = (index, customer) => (
+    <input
+      type="checkbox"
+      checked={isSelected(selection, customer.id)}
+      onChange={(e) => handleCheckboxChange(e, index, customer)}
+      onClick={(e) => e.stopPropagation()}
+      tabIndex={isMobile ? undefined : -1}
+      aria-label={`Select ${cardTitle ? customer[cardTitle.key] : customer.id}`}
+    />
+  );
+
+  /**
+   * Text a cell is edited as
+   */
+  const getEditValue = (customer, field) => {
+    const { editValue } = columnsByKey[field];
+    return editValue ? editValue(customer) : String(customer[field] ?? '');
+  };
+
+  /**
+   * Start editing a cell in place
    */
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', { 
-      year: 'numeric', 
-      month: 'short', 
-      day: 'numeric' 
+  const startEditing = (event, customer, field) => {
+    clearTimeout(rowClickTimeoutRef.current);
+    event.stopPropagation();
+    setEditingCell({
+      customer,
+      field,
+      value: getEditValue(customer, field),
+      error: null,
+      saving: false
     });
   };
 
+  const isEditing = (customer, field) =>
+    editingCell !== null && editingCell.customer.id === customer.id && editingCell.field === field;
+
+  /**
+   * Validate and save the cell being edited
+   */
+  const saveEditingCell = async () => {
+    const { customer, field, value } = editingCell;
+    const isCurrent = (cell) => cell && cell.customer.id === customer.id && cell.field === field;
+
+    const { validate } = columnsByKey[field];
+    const error = validate ? validate(value) : null;
+    if (error) {
+      setEditingCell(prev => (isCurrent(prev) ? { ...prev, error } : prev));
+      return;
+    }
+    if (value.trim() === getEditValue(customer, field)) {
+      setEditingCell(null);
+      return;
+    }
+
+    setEditingCell(prev => (isCurrent(prev) ? { ...prev, error: null, saving: true } : prev));
+    try {
+      await onCellEdit(customer, field, value);
+      focusPendingRef.current = true;
+      setEditingCell(prev => (isCurrent(prev) ? null : prev));
+    } catch (saveError) {
+      console.error('❌ Inline edit failed:', saveError);
+      setEditingCell(prev => (isCurrent(prev)
+        ? { ...prev, saving: false, error: saveError.message || 'Save failed' }
+        : prev));
+    }
+  };
+
+  /**
+   * Render a cell's content, or its editor when it is being edited
+   */
+  const editable = (customer, field, content) => {
+    if (!isEditing(customer, field)) return content;
+    return (
+      <InlineCellEditor
+        field={field}
+        value={editingCell.value}
+        error={editingCell.error}
+        saving={editingCell.saving}
+        onChange={(value) => setEditingCell(prev => ({ ...prev, value, error: null }))}
+        onSave={saveEditingCell}
+        onCancel={() => {
+          focusPendingRef.current = true;
+          setEditingCell(null);
+        }}
+      />
+    );
+  };
+
+  // Columns of the desktop / tablet table, in display order
+  const shownColumns = getVisibleColumnKeys(layout).map(key => columnsByKey[key]);
+
+  // Active cell, kept inside the grid when the result or the columns shrink
+  const activeRow = Math.min(activeCell.row, dataSource.length - 1);
+  const activeCol = Math.min(activeCell.col, shownColumns.length);
+
+  /**
+   * Helpers handed to the column cell renderers for one record
+   */
+  const cellHelpers = (customer) => ({
+    highlight: (field) => highlight(customer, field),
+    editable: (field, content) => editable(customer, field, content)
+  });
+
   /**
    * Optimized scroll handler with throttling
    */
@@ -61,9 +366,14 @@ const CustomerTable = ({ data, searchTerm, onSortChange, sortConfig }) => {
     const scrollTop = containerRef.current.scrollTop;
     const viewportHeight = containerRef.current.clientHeight;
 
+    // The header scrolls sideways with the body when the columns are wider than the table
+    if (headerContainerRef.current) {
+      headerContainerRef.current.scrollLeft = containerRef.current.scrollLeft;
+    }
+
     const startIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - VIEWPORT_BUFFER);
     const endIndex = Math.min(
-      data.length,
+      dataSource.length,
       Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + VIEWPORT_BUFFER
     );
 
@@ -79,8 +389,10 @@ const CustomerTable = ({ data, searchTerm, onSortChange, sortConfig }) => {
     }
     scrollTimeoutRef.current = setTimeout(() => {
       isScrollingRef.current = false;
+      // Report where the user stopped, as a row index so it survives layout changes
+      if (onScrollRowChange) onScrollRowChange(Math.floor(scrollTop / ROW_HEIGHT));
     }, 150);
-  }, [data.length, visibleRange.start, visibleRange.end, ROW_HEIGHT]);
+  }, [dataSource.length, visibleRange.start, visibleRange.end, ROW_HEIGHT, onScrollRowChange]);
 
   /**
    * Set up scroll listener
@@ -110,29 +422,313 @@ const CustomerTable = ({ data, searchTerm, onSortChange, sortConfig }) => {
     }
   }, [searchTerm]);
 
+  /**
+   * Scroll to a requested row (view restored from the URL). The rows may
+   * still be loading, so the request waits until the list is long enough.
+   */
+  useEffect(() => {
+    if (scrollRequest) pendingScrollRowRef.current = scrollRequest.row;
+  }, [scrollRequest]);
+
+  useEffect(() => {
+    const row = pendingScrollRowRef.current;
+    if (row === null || !containerRef.current) return;
+    if (row > 0 && dataSource.length <= row) return;
+
+    pendingScrollRowRef.current = null;
+    containerRef.current.scrollTop = row * ROW_HEIGHT;
+  }, [scrollRequest, dataSource, ROW_HEIGHT]);
+
   /**
    * Handle column sorting
+   * Plain click sorts by this column only, shift-click adds it to the sort stack
    */
-  const handleSort = (column) => {
-    const direction = (sortConfig.column === column && sortConfig.direction === 'asc') 
-      ? 'desc' 
-      : 'asc';
-    
-    onSortChange({ column, direction });
+  const handleSort = (column, event) => {
+    if (resizingRef.current) return;
+    onSortChange(toggleSortColumn(sortConfig, column, event.shiftKey));
+  };
+
+  /**
+   * Drag a column's right edge to resize it; header and body share the widths
+   */
+  const startResize = (event, key) => {
+    event.preventDefault();
+    event.stopPropagation();
+    resizingRef.current = true;
+
+    const startX = event.clientX;
+    const startWidth = layout.widths[key];
+
+    const handleMove = (moveEvent) => {
+      updateLayout(current => setColumnWidth(current, key, startWidth + moveEvent.clientX - startX));
+    };
+    const handleUp = () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      // Let the click that ends the drag pass before sorting works again
+      setTimeout(() => {
+        resizingRef.current = false;
+      }, 0);
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
   };
 
   /**
-   * Render sort indicator
+   * Drag a header onto another one to move the column there
+   */
+  const handleHeaderDragStart = (event, key) => {
+    if (resizingRef.current) {
+      event.preventDefault();
+      return;
+    }
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', key);
+    setDraggedColumn(key);
+  };
+
+  const handleHeaderDragOver = (event, key) => {
+    if (draggedColumn === null || draggedColumn === key) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    setDropTarget(key);
+  };
+
+  const handleHeaderDrop = (event, key) => {
+    event.preventDefault();
+    if (draggedColumn !== null) updateLayout(current => moveColumn(current, draggedColumn, key));
+    setDraggedColumn(null);
+    setDropTarget(null);
+  };
+
+  const handleHeaderDragEnd = () => {
+    setDraggedColumn(null);
+    setDropTarget(null);
+  };
+
+  /**
+   * Render sort indicator, with the column's priority when sorting by several
    */
   const renderSortIndicator = (column) => {
-    if (sortConfig.column !== column) return null;
-    return sortConfig.direction === 'asc' ? ' ▲' : ' ▼';
+    const level = sortConfig.findIndex(sort => sort.column === column);
+    if (level === -1) return null;
+    return (
+      <>
+        {sortConfig[level].direction === 'asc' ? ' ▲' : ' ▼'}
+        {sortConfig.length > 1 && <sup className="sort-priority">{level + 1}</sup>}
+      </>
+    );
+  };
+
+  /**
+   * Set one level of the sort stack from a mobile select ("column-direction");
+   * level === sortConfig.length appends a new level
+   */
+  const handleMobileSortLevel = (level, value) => {
+    const [column, direction] = value.split('-');
+    const next = [...sortConfig];
+    next[level] = { column, direction };
+    // A column can only appear once in the stack
+    onSortChange(next.filter((sort, i) => i === level || sort.column !== column));
+  };
+
+  /**
+   * Remove one level of the sort stack (mobile)
+   */
+  const handleMobileSortRemove = (level) => {
+    onSortChange(sortConfig.filter((_, i) => i !== level));
+  };
+
+  const getRow = usePagedRows(dataSource, visibleRange.start, visibleRange.end);
+
+  /**
+   * Announce the result count once it stops changing (it grows batch by
+   * batch while data loads), but not the count the table started with
+   */
+  useEffect(() => {
+    if (announcedCountRef.current === null) {
+      announcedCountRef.current = dataSource.length;
+      return;
+    }
+    if (announcedCountRef.current === dataSource.length) return;
+
+    const timeout = setTimeout(() => {
+      announcedCountRef.current = dataSource.length;
+      setAnnouncement(`${dataSource.length.toLocaleString()} ${dataSource.length === 1 ? 'result' : 'results'}`);
+    }, 1000);
+    return () => clearTimeout(timeout);
+  }, [dataSource.length]);
+
+  /**
+   * Focus the active cell once it is rendered after a keyboard move
+   * (runs after every render until it is)
+   */
+  useEffect(() => {
+    if (!focusPendingRef.current || !gridRef.current) return;
+    const cell = gridRef.current.querySelector(`[data-cell="${activeRow}:${activeCol}"]`);
+    if (!cell) return;
+
+    focusPendingRef.current = false;
+    cell.focus({ preventScroll: true });
+  });
+
+  /**
+   * Make a cell the active one and scroll the body so it is in view
+   * (scrolling sideways moves the header along with it)
+   */
+  const moveToCell = (row, col) => {
+    setActiveCell({ row, col });
+    focusPendingRef.current = true;
+
+    const container = containerRef.current;
+    if (!container) return;
+
+    if (row >= 0) {
+      const top = row * ROW_HEIGHT;
+      if (top < container.scrollTop) {
+        container.scrollTop = top;
+      } else if (top + ROW_HEIGHT > container.scrollTop + container.clientHeight) {
+        container.scrollTop = top + ROW_HEIGHT - container.clientHeight;
+      }
+    }
+
+    const left = shownColumns
+      .slice(0, Math.max(0, col - 1))
+      .reduce((sum, { key }) => sum + layout.widths[key], col > 0 ? SELECT_COLUMN_WIDTH : 0);
+    const width = col > 0 ? layout.widths[shownColumns[col - 1].key] : SELECT_COLUMN_WIDTH;
+    if (left < container.scrollLeft) {
+      container.scrollLeft = left;
+    } else if (left + width > container.scrollLeft + container.clientWidth) {
+      container.scrollLeft = left + width - container.clientWidth;
+    }
+  };
+
+  /**
+   * Track the active cell when one is focused by mouse or tab
+   */
+  const handleCellFocus = (row, col) => {
+    setActiveCell(current => (current.row === row && current.col === col ? current : { row, col }));
+  };
+
+  /**
+   * Enter / Space on the active cell: sort from a header, select all from the
+   * header checkbox, select a row with Space or open it with Enter.
+   * F2 edits an editable cell in place.
+   */
+  const activateCell = (event) => {
+    const column = activeCol > 0 ? shownColumns[activeCol - 1] : null;
+
+    if (activeRow === -1) {
+      if (event.key === 'F2') return;
+      if (!column) {
+        onToggleAllMatching();
+      } else if (column.sortable) {
+        handleSort(column.key, event);
+      }
+      return;
+    }
+
+    const customer = getRow(activeRow);
+    if (!customer) return;
+
+    if (event.key === 'F2') {
+      if (column?.editable) startEditing(event, customer, column.key);
+    } else if (event.key === ' ' || !column) {
+      handleCheckboxChange(event, activeRow, customer);
+    } else {
+      onRowClick(customer, activeRow);
+    }
+  };
+
+  /**
+   * Keyboard navigation of the grid (desktop and tablet)
+   */
+  const handleGridKeyDown = (event) => {
+    // Keys typed into the in-place editor (or any text field) stay there
+    if (event.target.tagName === 'INPUT' && event.target.type !== 'checkbox') return;
+
+    const lastRow = dataSource.length - 1;
+    const lastCol = shownColumns.length;
+    const pageSize = Math.max(1, Math.floor((containerRef.current?.clientHeight ?? 0) / ROW_HEIGHT));
+    let row = activeRow;
+    let col = activeCol;
+
+    switch (event.key) {
+      case 'ArrowUp':
+        row = Math.max(-1, row - 1);
+        break;
+      case 'ArrowDown':
+        row = Math.min(lastRow, row + 1);
+        break;
+      case 'ArrowLeft':
+        col = Math.max(0, col - 1);
+        break;
+      case 'ArrowRight':
+        col = Math.min(lastCol, col + 1);
+        break;
+      case 'Home':
+        col = 0;
+        if (event.ctrlKey || event.metaKey) row = -1;
+        break;
+      case 'End':
+        col = lastCol;
+        if (event.ctrlKey || event.metaKey) row = lastRow;
+        break;
+      case 'PageUp':
+        row = row === -1 ? -1 : Math.max(0, row - pageSize);
+        break;
+      case 'PageDown':
+        row = Math.min(lastRow, Math.max(0, row + pageSize));
+        break;
+      case 'Enter':
+      case ' ':
+      case 'F2':
+        event.preventDefault();
+        activateCell(event);
+        return;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    moveToCell(row, col);
   };
 
-  const totalHeight = data.length * ROW_HEIGHT;
-  const visibleData = data.slice(visibleRange.start, visibleRange.end);
+  /**
+   * Grid semantics and roving focus of one cell
+   */
+  const gridCellProps = (row, col) => ({
+    'aria-colindex': col + 1,
+    tabIndex: row === activeRow && col === activeCol ? 0 : -1,
+    'data-cell': `${row}:${col}`,
+    onFocus: () => handleCellFocus(row, col)
+  });
+
+  /**
+   * aria-sort of a sortable header: only the primary sort column is sorted for it
+   */
+  const getAriaSort = (column) => {
+    if (sortConfig[0]?.column !== column) return 'none';
+    return sortConfig[0].direction === 'asc' ? 'ascending' : 'descending';
+  };
+
+  // Live region reading out the result count
+  const countAnnouncer = (
+    <div className="visually-hidden" role="status" aria-live="polite" aria-atomic="true">
+      {announcement}
+    </div>
+  );
+
+  const totalHeight = dataSource.length * ROW_HEIGHT;
   const offsetY = visibleRange.start * ROW_HEIGHT;
 
+  // Rows in the rendered window; customer is undefined until its page has loaded
+  const visibleData = [];
+  for (let index = visibleRange.start; index < Math.min(visibleRange.end, dataSource.length); index++) {
+    visibleData.push({ index, customer: getRow(index) });
+  }
+
   /**
    * MOBILE CARD VIEW
    * Stack information vertically for better mobile UX
@@ -140,68 +736,98 @@ const CustomerTable = ({ data, searchTerm, onSortChange, sortConfig }) => {
   if (isMobile) {
     return (
       <div className="table-wrapper mobile">
-        {/* Mobile sort controls */}
+        {countAnnouncer}
+
+        {/* Mobile sort controls: one select per sort level */}
         <div className="mobile-sort-controls">
-          <select 
-            className="mobile-sort-select"
-            value={`${sortConfig.column}-${sortConfig.direction}`}
-            onChange={(e) => {
-              const [column, direction] = e.target.value.split('-');
-              onSortChange({ column, direction });
-            }}
-          >
-            <option value="id-asc">ID (Ascending)</option>
-            <option value="id-desc">ID (Descending)</option>
-            <option value="name-asc">Name (A-Z)</option>
-            <option value="name-desc">Name (Z-A)</option>
-            <option value="score-asc">Score (Low to High)</option>
-            <option value="score-desc">Score (High to Low)</option>
-            <option value="email-asc">Email (A-Z)</option>
-            <option value="email-desc">Email (Z-A)</option>
-            <option value="lastMessageAt-asc">Last Message (Oldest)</option>
-            <option value="lastMessageAt-desc">Last Message (Newest)</option>
-          </select>
+          {sortConfig.map((sort, level) => (
+            <div key={level} className="mobile-sort-level">
+              {level > 0 && <span className="mobile-sort-then">Then by</span>}
+              <select
+                className="mobile-sort-select"
+                value={`${sort.column}-${sort.direction}`}
+                onChange={(e) => handleMobileSortLevel(level, e.target.value)}
+              >
+                {/* Keep a level sorted by a column without a sort option visible */}
+                {!columnsByKey[sort.column]?.sortable && (
+                  <option value={`${sort.column}-${sort.direction}`}>
+                    {sort.column} ({sort.direction === 'asc' ? 'Ascending' : 'Descending'})
+                  </option>
+                )}
+                {sortOptions.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              {level > 0 && (
+                <button
+                  type="button"
+                  className="mobile-sort-remove"
+                  onClick={() => handleMobileSortRemove(level)}
+                  aria-label={`Remove sort level ${level + 1}`}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+          {sortConfig.length < sortableCount && (
+            <select
+              className="mobile-sort-select mobile-sort-add"
+              value=""
+              onChange={(e) => handleMobileSortLevel(sortConfig.length, e.target.value)}
+            >
+              <option value="" disabled>+ Then by...</option>
+              {sortOptions
+                .filter(option => !sortConfig.some(sort => option.value.startsWith(`${sort.column}-`)))
+                .map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+          )}
         </div>
 
         {/* Scrollable card list */}
         <div className="mobile-card-container" ref={containerRef}>
           <div style={{ height: `${totalHeight}px`, position: 'relative' }}>
-            <div style={{ position: 'absolute', top: `${offsetY}px`, width: '100%' }}>
-              {visibleData.map((customer) => (
-                <div key={customer.id} className="mobile-card">
+            <div role="list" aria-label={label} style={{ position: 'absolute', top: `${offsetY}px`, width: '100%' }}>
+              {visibleData.map(({ index, customer }) => !customer ? (
+                <div
+                  key={`loading-${index}`}
+                  className="mobile-card loading-row"
+                  role="listitem"
+                  aria-posinset={index + 1}
+                  aria-setsize={dataSource.length}
+                  aria-busy="true"
+                />
+              ) : (
+                <div
+                  key={customer.id}
+                  className="mobile-card"
+                  role="listitem"
+                  aria-posinset={index + 1}
+                  aria-setsize={dataSource.length}
+                  onClick={() => onRowClick(customer, index)}
+                >
                   <div className="mobile-card-header">
-                    <div 
-                      className="avatar" 
-                      style={{ backgroundColor: customer.avatar.color }}
-                    >
-                      {customer.avatar.initials}
-                    </div>
+                    <span className="mobile-select">{renderRowCheckbox(index, customer)}</span>
                     <div className="mobile-card-title">
-                      <h3>{customer.name}</h3>
-                      <span className="mobile-id">ID: {customer.id}</span>
+                      {cardTitle && <h3>{cardTitle.cell(customer, cellHelpers(customer))}</h3>}
+                      {cardSubtitle && (
+                        <span className="mobile-id">
+                          {cardSubtitle.header}: {cardSubtitle.cell(customer, cellHelpers(customer))}
+                        </span>
+                      )}
                     </div>
-                    <span className={`score-badge score-${Math.floor(customer.score / 25)}`}>
-                      {customer.score}
-                    </span>
+                    {cardBadge && cardBadge.cell(customer, cellHelpers(customer))}
                   </div>
                   
                   <div className="mobile-card-body">
-                    <div className="mobile-info-row">
-                      <span className="mobile-label">📧 Email:</span>
-                      <span className="mobile-value">{customer.email}</span>
-                    </div>
-                    <div className="mobile-info-row">
-                      <span className="mobile-label">📞 Phone:</span>
-                      <span className="mobile-value">{customer.phone}</span>
-                    </div>
-                    <div className="mobile-info-row">
-                      <span className="mobile-label">💬 Last Message:</span>
-                      <span className="mobile-value">{formatDate(customer.lastMessageAt)}</span>
-                    </div>
-                    <div className="mobile-info-row">
-                      <span className="mobile-label">👤 Added By:</span>
-                      <span className="mobile-value">{customer.addedBy}</span>
-                    </div>
+                    {columns.filter(column => column.mobileLabel).map(column => (
+                      <div key={column.key} className="mobile-info-row">
+                        <span className="mobile-label">{column.mobileLabel}:</span>
+                        <span className="mobile-value">{column.cell(customer, cellHelpers(customer))}</span>
+                      </div>
+                    ))}
                   </div>
                 </div>
               ))}
@@ -213,64 +839,130 @@ const CustomerTable = ({ data, searchTerm, onSortChange, sortConfig }) => {
   }
 
   /**
-   * TABLET VIEW
-   * Show essential columns only, hide less important ones
+   * DESKTOP AND TABLET VIEW
+   * A table with the columns of the breakpoint's layout (tablet starts with
+   * the essential ones only). Header and body are separate tables sharing
+   * one set of column widths. For assistive technology the whole wrapper
+   * is one grid, whose rows are numbered across the full result.
    */
-  if (isTablet) {
-    return (
-      <div className="table-wrapper tablet">
-        <div className="table-header-container">
-          <table className="customer-table header-table">
-            <thead>
-              <tr>
-                <th onClick={() => handleSort('id')} className="sortable">
-                  ID{renderSortIndicator('id')}
-                </th>
-                <th onClick={() => handleSort('name')} className="sortable">
-                  Name{renderSortIndicator('name')}
-                </th>
-                <th onClick={() => handleSort('email')} className="sortable">
-                  Email{renderSortIndicator('email')}
-                </th>
-                <th onClick={() => handleSort('score')} className="sortable">
-                  Score{renderSortIndicator('score')}
-                </th>
-                <th onClick={() => handleSort('lastMessageAt')} className="sortable">
-                  Last Message{renderSortIndicator('lastMessageAt')}
+  const tableWidth = shownColumns.reduce((sum, { key }) => sum + layout.widths[key], SELECT_COLUMN_WIDTH);
+
+  const colGroup = (
+    <colgroup>
+      <col style={{ width: `${SELECT_COLUMN_WIDTH}px` }} />
+      {shownColumns.map(({ key }) => (
+        <col key={key} style={{ width: `${layout.widths[key]}px` }} />
+      ))}
+    </colgroup>
+  );
+
+  return (
+    <div className={`table-wrapper ${isTablet ? 'tablet' : 'desktop'}`}>
+      {countAnnouncer}
+
+      <div className="table-toolbar">
+        <ColumnChooser
+          columns={columns}
+          layout={layout}
+          onToggle={(key, hidden) => updateLayout(current => setColumnHidden(current, key, hidden))}
+          onShift={(key, offset) => updateLayout(current => shiftColumn(current, key, offset))}
+          onReset={resetLayout}
+        />
+      </div>
+
+      <div
+        className="table-grid"
+        ref={gridRef}
+        role="grid"
+        aria-label={label}
+        aria-rowcount={dataSource.length + 1}
+        aria-colcount={shownColumns.length + 1}
+        aria-multiselectable="true"
+        onKeyDown={handleGridKeyDown}
+      >
+        <div className="table-header-container" ref={headerContainerRef}>
+          <table
+            className="customer-table header-table"
+            role="presentation"
+            style={{ minWidth: `${tableWidth}px` }}
+          >
+            {colGroup}
+            <thead role="rowgroup">
+              <tr role="row" aria-rowindex={1}>
+                <th className="select-cell" role="columnheader" {...gridCellProps(-1, 0)}>
+                  {renderSelectAll()}
                 </th>
+                {shownColumns.map(({ key, header, sortable }, i) => (
+                  <th
+                    key={key}
+                    role="columnheader"
+                    aria-sort={sortable ? getAriaSort(key) : undefined}
+                    {...gridCellProps(-1, i + 1)}
+                    className={`${sortable ? 'sortable' : ''}${draggedColumn === key ? ' dragging' : ''}${dropTarget === key ? ' drop-target' : ''}`}
+                    draggable
+                    onClick={sortable ? (e) => handleSort(key, e) : undefined}
+                    onDragStart={(e) => handleHeaderDragStart(e, key)}
+                    onDragOver={(e) => handleHeaderDragOver(e, key)}
+                    onDragLeave={() => setDropTarget(current => (current === key ? null : current))}
+                    onDrop={(e) => handleHeaderDrop(e, key)}
+                    onDragEnd={handleHeaderDragEnd}
+                  >
+                    {header}{renderSortIndicator(key)}
+                    <span
+                      className="column-resizer"
+                      onPointerDown={(e) => startResize(e, key)}
+                      onClick={(e) => e.stopPropagation()}
+                      aria-hidden="true"
+                    />
+                  </th>
+                ))}
               </tr>
             </thead>
           </table>
         </div>
 
         <div className="table-body-container" ref={containerRef}>
-          <div style={{ height: `${totalHeight}px`, position: 'relative' }}>
+          <div style={{ height: `${totalHeight}px`, position: 'relative', minWidth: `${tableWidth}px` }}>
             <table 
               className="customer-table body-table" 
-              style={{ position: 'absolute', top: `${offsetY}px`, width: '100%' }}
+              role="presentation"
+              style={{ position: 'absolute', top: `${offsetY}px`, width: '100%', minWidth: `${tableWidth}px` }}
             >
-              <tbody>
-                {visibleData.map((customer) => (
-                  <tr key={customer.id} className="table-row">
-                    <td>{customer.id}</td>
-                    <td>
-                      <div className="name-cell">
-                        <div 
-                          className="avatar" 
-                          style={{ backgroundColor: customer.avatar.color }}
-                        >
-                          {customer.avatar.initials}
-                        </div>
-                        <span>{customer.name}</span>
-                      </div>
-                    </td>
-                    <td className="email-cell">{customer.email}</td>
-                    <td>
-                      <span className={`score-badge score-${Math.floor(customer.score / 25)}`}>
-                        {customer.score}
-                      </span>
+              {colGroup}
+              <tbody role="rowgroup">
+                {visibleData.map(({ index, customer }) => !customer ? (
+                  <tr
+                    key={`loading-${index}`}
+                    className="table-row loading-row"
+                    role="row"
+                    aria-rowindex={index + 2}
+                    aria-busy="true"
+                  >
+                    <td colSpan={shownColumns.length + 1} role="gridcell"></td>
+                  </tr>
+                ) : (
+                  <tr
+                    key={customer.id}
+                    className="table-row"
+                    role="row"
+                    aria-rowindex={index + 2}
+                    aria-selected={isSelected(selection, customer.id)}
+                    onClick={(e) => handleRowClick(e, index, customer)}
+                  >
+                    <td className="select-cell" role="gridcell" {...gridCellProps(index, 0)}>
+                      {renderRowCheckbox(index, customer)}
                     </td>
-                    <td>{formatDate(customer.lastMessageAt)}</td>
+                    {shownColumns.map((column, i) => (
+                      <td
+                        key={column.key}
+                        role="gridcell"
+                        {...gridCellProps(index, i + 1)}
+                        className={column.className}
+                        onDoubleClick={column.editable ? (e) => startEditing(e, customer, column.key) : undefined}
+                      >
+                        {column.cell(customer, cellHelpers(customer))}
+                      </td>
+                    ))}
                   </tr>
                 ))}
               </tbody>
@@ -278,81 +970,6 @@ const CustomerTable = ({ data, searchTerm, onSortChange, sortConfig }) => {
           </div>
         </div>
       </div>
-    );
-  }
-
-  /**
-   * DESKTOP VIEW (DEFAULT)
-   * Full table with all columns
-   */
-  return (
-    <div className="table-wrapper desktop">
-      <div className="table-header-container">
-        <table className="customer-table header-table">
-          <thead>
-            <tr>
-              <th onClick={() => handleSort('id')} className="sortable" style={{ width: '80px' }}>
-                ID{renderSortIndicator('id')}
-              </th>
-              <th onClick={() => handleSort('name')} className="sortable" style={{ width: '200px' }}>
-                Name{renderSortIndicator('name')}
-              </th>
-              <th onClick={() => handleSort('phone')} className="sortable" style={{ width: '180px' }}>
-                Phone{renderSortIndicator('phone')}
-              </th>
-              <th onClick={() => handleSort('email')} className="sortable" style={{ width: '250px' }}>
-                Email{renderSortIndicator('email')}
-              </th>
-              <th onClick={() => handleSort('score')} className="sortable" style={{ width: '100px' }}>
-                Score{renderSortIndicator('score')}
-              </th>
-              <th onClick={() => handleSort('lastMessageAt')} className="sortable" style={{ width: '150px' }}>
-                Last Message{renderSortIndicator('lastMessageAt')}
-              </th>
-              <th onClick={() => handleSort('addedBy')} className="sortable" style={{ width: '180px' }}>
-                Added By{renderSortIndicator('addedBy')}
-              </th>
-            </tr>
-          </thead>
-        </table>
-      </div>
-
-      <div className="table-body-container" ref={containerRef}>
-        <div style={{ height: `${totalHeight}px`, position: 'relative' }}>
-          <table 
-            className="customer-table body-table" 
-            style={{ position: 'absolute', top: `${offsetY}px`, width: '100%' }}
-          >
-            <tbody>
-              {visibleData.map((customer) => (
-                <tr key={customer.id} className="table-row">
-                  <td style={{ width: '80px' }}>{customer.id}</td>
-                  <td style={{ width: '200px' }}>
-                    <div className="name-cell">
-                      <div 
-                        className="avatar" 
-                        style={{ backgroundColor: customer.avatar.color }}
-                      >
-                        {customer.avatar.initials}
-                      </div>
-                      <span>{customer.name}</span>
-                    </div>
-                  </td>
-                  <td style={{ width: '180px' }}>{customer.phone}</td>
-                  <td className="email-cell" style={{ width: '250px' }}>{customer.email}</td>
-                  <td style={{ width: '100px' }}>
-                    <span className={`score-badge score-${Math.floor(customer.score / 25)}`}>
-                      {customer.score}
-                    </span>
-                  </td>
-                  <td style={{ width: '150px' }}>{formatDate(customer.lastMessageAt)}</td>
-                  <td style={{ width: '180px' }}>{customer.addedBy}</td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
-      </div>
     </div>
   );
 };
@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { GENERATOR_PROFILES } from '../utils/generatorProfiles';
+import {
+  MIN_RECORD_COUNT,
+  MAX_RECORD_COUNT,
+  normalizeDatasetSettings,
+  parseDomains
+} from '../utils/datasetSettings';
+
+const COUNT_PRESETS = [1000, 10000, 100000, 1000000, 5000000];
+
+const formatPreset = (count) => (count >= 1000000 ? `${count / 1000000}M` : `${count / 1000}k`);
+
+/**
+ * Modal to change the size and shape of the generated dataset
+ * Applying regenerates the data (the current customers are replaced)
+ * @param {Object} settings - Current dataset settings
+ * @param {function} onApply - Called with the new settings
+ * @param {function} onClose - Called to close without changes
+ */
+const DatasetSettings = ({ settings, onApply, onClose }) => {
+  const [count, setCount] = useState(String(settings.count));
+  const [profile, setProfile] = useState(settings.profile);
+  const [domains, setDomains] = useState(settings.domains.join(', '));
+  const [seed, setSeed] = useState(settings.seed);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const countValue = Number(count);
+  const countError = !/^\d+$/.test(count) || countValue < MIN_RECORD_COUNT || countValue > MAX_RECORD_COUNT
+    ? `Enter a whole number from ${MIN_RECORD_COUNT.toLocaleString()} to ${MAX_RECORD_COUNT.toLocaleString()}`
+    : null;
+
+  const next = normalizeDatasetSettings({
+    ...settings,
+    count: countValue,
+    profile,
+    domains: parseDomains(domains),
+    seed: seed.trim()
+  });
+  const unchanged = JSON.stringify(next) === JSON.stringify(settings);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (countError || unchanged) return;
+    if (!window.confirm(`Replace all customers with ${next.count.toLocaleString()} newly generated ones?`)) return;
+    onApply(next);
+  };
+
+  return (
+    <div className="modal-backdrop" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <form
+        className="customer-form"
+        onSubmit={handleSubmit}
+        noValidate
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="dataset-settings-title"
+      >
+        <h2 id="dataset-settings-title">Dataset Settings</h2>
+
+        <div className={`form-field${countError ? ' has-error' : ''}`}>
+          <label htmlFor="dataset-count">Number of customers</label>
+          <input
+            id="dataset-count"
+            type="number"
+            min={MIN_RECORD_COUNT}
+            max={MAX_RECORD_COUNT}
+            step={1000}
+            value={count}
+            onChange={(e) => setCount(e.target.value)}
+            aria-invalid={!!countError}
+          />
+          <div className="dataset-presets">
+            {COUNT_PRESETS.map(preset => (
+              <button
+                key={preset}
+                type="button"
+                className={Number(count) === preset ? 'active' : ''}
+                onClick={() => setCount(String(preset))}
+              >
+                {formatPreset(preset)}
+              </button>
+            ))}
+          </div>
+          {countError && <p className="form-error">{countError}</p>}
+        </div>
+
+        <div className="form-field">
+          <label htmlFor="dataset-profile">Names and domains</label>
+          <select id="dataset-profile" value={profile} onChange={(e) => setProfile(e.target.value)}>
+            {Object.entries(GENERATOR_PROFILES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-field">
+          <label htmlFor="dataset-domains">Email domains (optional, replaces the profile&apos;s)</label>
+          <input
+            id="dataset-domains"
+            type="text"
+            placeholder="acme.com, example.org"
+            value={domains}
+            onChange={(e) => setDomains(e.target.value)}
+          />
+        </div>
+
+        <div className="form-field">
+          <label htmlFor="dataset-seed">Seed (optional, same seed gives the same customers)</label>
+          <input
+            id="dataset-seed"
+            type="text"
+            value={seed}
+            onChange={(e) => setSeed(e.target.value)}
+          />
+        </div>
+
+        <div className="form-actions">
+          <button type="button" className="form-cancel" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" className="form-save" disabled={!!countError || unchanged}>
+            Regenerate Data
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default DatasetSettings;
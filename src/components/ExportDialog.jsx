@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { CSV_COLUMNS, DEFAULT_EXPORT_COLUMNS } from '../utils/csvExport';
+
+/**
+ * Modal to export customers as CSV
+ * Picks what to export (the current filtered and sorted view, or the
+ * selection) and which columns, then shows progress while the file is
+ * written chunk by chunk; the export can be cancelled between chunks
+ * @param {number} viewCount - Rows in the current view
+ * @param {number} selectedCount - Selected customers (0 hides the option)
+ * @param {string} defaultScope - 'view' or 'selection'
+ * @param {function} onExport - Async ({scope, columns}, onProgress, isCancelled) => boolean
+ * @param {function} onClose - Called to close the dialog
+ */
+const ExportDialog = ({ viewCount, selectedCount, defaultScope, onExport, onClose }) => {
+  const [scope, setScope] = useState(selectedCount > 0 ? defaultScope : 'view');
+  const [columns, setColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+  const [progress, setProgress] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const cancelledRef = useRef(false);
+
+  const isExporting = progress !== null;
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !isExporting) onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, isExporting]);
+
+  const toggleColumn = (key, checked) => {
+    // Keep the CSV_COLUMNS order whatever order the boxes were ticked in
+    const next = new Set(columns);
+    if (checked) next.add(key); else next.delete(key);
+    setColumns(CSV_COLUMNS.map(column => column.key).filter(columnKey => next.has(columnKey)));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    cancelledRef.current = false;
+    setExportError(null);
+    setProgress({ done: 0, total: scope === 'selection' ? selectedCount : viewCount });
+
+    try {
+      const exported = await onExport(
+        { scope, columns },
+        (done, total) => setProgress({ done, total }),
+        () => cancelledRef.current
+      );
+      if (exported) {
+        onClose();
+        return;
+      }
+    } catch (error) {
+      console.error('❌ Export failed:', error);
+      setExportError(error.message || 'Export failed');
+    }
+    setProgress(null);
+  };
+
+  const percent = progress && progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  return (
+    <div className="modal-backdrop" onMouseDown={(e) => e.target === e.currentTarget && !isExporting && onClose()}>
+      <form
+        className="customer-form export-dialog"
+        onSubmit={handleSubmit}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="export-dialog-title"
+      >
+        <h2 id="export-dialog-title">Export CSV</h2>
+
+        <fieldset className="export-section" disabled={isExporting}>
+          <legend>Rows</legend>
+          <label className="export-option">
+            <input
+              type="radio"
+              name="export-scope"
+              checked={scope === 'view'}
+              onChange={() => setScope('view')}
+            />
+            Current view ({viewCount.toLocaleString()} rows, as filtered and sorted)
+          </label>
+          {selectedCount > 0 && (
+            <label className="export-option">
+              <input
+                type="radio"
+                name="export-scope"
+                checked={scope === 'selection'}
+                onChange={() => setScope('selection')}
+              />
+              Selected customers ({selectedCount.toLocaleString()} rows)
+            </label>
+          )}
+        </fieldset>
+
+        <fieldset className="export-section" disabled={isExporting}>
+          <legend>Columns</legend>
+          <div className="export-columns">
+            {CSV_COLUMNS.map(column => (
+              <label key={column.key} className="export-option">
+                <input
+                  type="checkbox"
+                  checked={columns.includes(column.key)}
+                  onChange={(e) => toggleColumn(column.key, e.target.checked)}
+                />
+                {column.header}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        {isExporting && (
+          <div className="export-progress" aria-live="polite">
+            <div className="export-progress-track">
+              <div className="progress-fill" style={{ width: `${percent}%` }}></div>
+            </div>
+            <span>
+              {progress.done.toLocaleString()} / {progress.total.toLocaleString()} rows
+            </span>
+          </div>
+        )}
+
+        {exportError && <p className="form-error form-submit-error">⚠️ {exportError}</p>}
+
+        <div className="form-actions">
+          {isExporting ? (
+            <button type="button" className="form-cancel" onClick={() => { cancelledRef.current = true; }}>
+              Cancel Export
+            </button>
+          ) : (
+            <button type="button" className="form-cancel" onClick={onClose}>
+              Close
+            </button>
+          )}
+          <button type="submit" className="form-save" disabled={isExporting || columns.length === 0}>
+            {isExporting ? `Exporting... ${percent}%` : 'Export'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -1,56 +1,78 @@
 import React, { useState } from 'react';
+import { SCORE_RANGES, DATE_RANGES, EMPTY_FILTERS, countActiveFilters } from '../utils/customerFilters';
 
 /**
- * Dummy filter dropdown component (non-functional as per requirements)
- * Displays filter options but doesn't apply any filtering logic
+ * Filter dropdown for score band and last-message age
+ * Checkbox changes are kept as a draft until "Apply Filters" is clicked
+ * @param {Object} filters - Currently applied filters { scoreRanges, dateRanges }
+ * @param {function} onApply - Callback with the new filters when applied or cleared
  */
-const FilterDropdown = () => {
+const FilterDropdown = ({ filters, onApply }) => {
   const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(filters);
+
+  const activeCount = countActiveFilters(filters);
 
   const toggleDropdown = () => {
+    // Start every edit from what is actually applied, not a stale draft
+    if (!isOpen) setDraft(filters);
     setIsOpen(!isOpen);
   };
 
+  const toggleOption = (section, id) => {
+    setDraft(prev => ({
+      ...prev,
+      [section]: prev[section].includes(id)
+        ? prev[section].filter(item => item !== id)
+        : [...prev[section], id]
+    }));
+  };
+
+  const handleClear = () => {
+    setDraft(EMPTY_FILTERS);
+    onApply(EMPTY_FILTERS);
+    setIsOpen(false);
+  };
+
+  const handleApply = () => {
+    onApply(draft);
+    setIsOpen(false);
+  };
+
   return (
     <div className="filter-dropdown">
       <button className="filter-button" onClick={toggleDropdown}>
-        Filters ▼
+        Filters{activeCount > 0 && <span className="filter-count">{activeCount}</span>} ▼
       </button>
       {isOpen && (
         <div className="filter-menu">
           <div className="filter-section">
             <h4>Score Range</h4>
-            <label>
-              <input type="checkbox" /> 0-25
-            </label>
-            <label>
-              <input type="checkbox" /> 26-50
-            </label>
-            <label>
-              <input type="checkbox" /> 51-75
-            </label>
-            <label>
-              <input type="checkbox" /> 76-100
-            </label>
+            {SCORE_RANGES.map(range => (
+              <label key={range.id}>
+                <input
+                  type="checkbox"
+                  checked={draft.scoreRanges.includes(range.id)}
+                  onChange={() => toggleOption('scoreRanges', range.id)}
+                /> {range.label}
+              </label>
+            ))}
           </div>
           <div className="filter-section">
-            <h4>Date Added</h4>
-            <label>
-              <input type="checkbox" /> Last 7 days
-            </label>
-            <label>
-              <input type="checkbox" /> Last 30 days
-            </label>
-            <label>
-              <input type="checkbox" /> Last 3 months
-            </label>
-            <label>
-              <input type="checkbox" /> Last year
-            </label>
+            <h4>Last Message</h4>
+            {DATE_RANGES.map(range => (
+              <label key={range.id}>
+                <input
+                  type="checkbox"
+                  checked={draft.dateRanges.includes(range.id)}
+                  onChange={() => toggleOption('dateRanges', range.id)}
+                /> {range.label}
+              </label>
+            ))}
           </div>
           <div className="filter-actions">
-            <button className="filter-clear">Clear All</button>
-            <button className="filter-apply">Apply Filters</button>
+            <button className="filter-clear" onClick={handleClear}>Clear All</button>
+            <button className="filter-apply" onClick={handleApply}>Apply Filters</button>
           </div>
         </div>
       )}
@@ -0,0 +1,24 @@
+import React from 'react';
+
+/**
+ * Render text with some character ranges wrapped in <mark>
+ * @param {string} text - Text to display
+ * @param {Array<[number, number]>} ranges - Sorted, non-overlapping [start, end) ranges
+ */
+const Highlight = ({ text, ranges }) => {
+  const value = String(text);
+  if (!ranges || ranges.length === 0) return value;
+
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end], index) => {
+    if (start > position) parts.push(value.slice(position, start));
+    parts.push(<mark key={index} className="search-highlight">{value.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < value.length) parts.push(value.slice(position));
+
+  return parts;
+};
+
+export default Highlight;
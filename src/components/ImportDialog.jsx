@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import {
+  IMPORT_FIELDS,
+  IMPORT_FIELD_LABELS,
+  parseImportFile,
+  guessColumnMapping,
+  getUnmappedFields
+} from '../utils/customerImport';
+import { toCsvLine, downloadBlob } from '../utils/csvExport';
+
+// Validation problems listed in the dialog (all of them go into the downloadable report)
+const MAX_LISTED_ERRORS = 50;
+
+/**
+ * Modal to import customers from a CSV or JSON file
+ * Three steps: pick a file, map its columns onto customer fields and choose
+ * between merging and replacing, then read the report of what was imported
+ * and which rows were skipped
+ * @param {function} onImport - Async ({rows, mapping, mode}) => {added, updated, errors}
+ * @param {number} progress - Import progress in percent
+ * @param {function} onClose - Called to close the dialog
+ */
+const ImportDialog = ({ onImport, progress, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [busy, setBusy] = useState(null);
+  const [report, setReport] = useState(null);
+  const [importError, setImportError] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !busy) onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, busy]);
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files[0];
+    if (!selected) return;
+
+    setBusy('Reading file...');
+    setImportError(null);
+    try {
+      const parsed = await parseImportFile(selected);
+      if (parsed.rows.length === 0) throw new Error('The file contains no customers');
+      setFile({ name: selected.name, ...parsed });
+      setMapping(guessColumnMapping(parsed.columns));
+    } catch (error) {
+      console.error('❌ Could not read import file:', error);
+      setImportError(error.message || 'Could not read the file');
+    }
+    setBusy(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (mode === 'replace' &&
+        !window.confirm('Replace all existing customers with this file? This cannot be undone.')) {
+      return;
+    }
+
+    setBusy('Importing...');
+    setImportError(null);
+    try {
+      setReport(await onImport({ rows: file.rows, mapping, mode }));
+    } catch (error) {
+      console.error('❌ Import failed:', error);
+      setImportError(error.message || 'Import failed');
+    }
+    setBusy(null);
+  };
+
+  const downloadErrorReport = () => {
+    const lines = [toCsvLine(['Row', 'Field', 'Problem'])];
+    report.errors.forEach(error => {
+      lines.push(toCsvLine([error.row, IMPORT_FIELD_LABELS[error.field], error.message]));
+    });
+    downloadBlob(new Blob(lines, { type: 'text/csv;charset=utf-8' }), 'import-errors.csv');
+  };
+
+  const unmapped = mapping ? getUnmappedFields(mapping) : [];
+  const sample = file?.rows[0];
+
+  // Step 3: what happened
+  if (report) {
+    const skipped = new Set(report.errors.map(error => error.row)).size;
+    return (
+      <div className="modal-backdrop" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+        <div className="customer-form import-dialog" role="dialog" aria-modal="true" aria-labelledby="import-dialog-title">
+          <h2 id="import-dialog-title">Import Complete</h2>
+          <p className="import-summary">
+            ✅ {report.added.toLocaleString()} added, {report.updated.toLocaleString()} updated
+            {skipped > 0 && <>, ⚠️ {skipped.toLocaleString()} rows skipped</>}
+          </p>
+
+          {report.errors.length > 0 && (
+            <>
+              <table className="import-errors">
+                <thead>
+                  <tr><th>Row</th><th>Field</th><th>Problem</th></tr>
+                </thead>
+                <tbody>
+                  {report.errors.slice(0, MAX_LISTED_ERRORS).map((error, index) => (
+                    <tr key={index}>
+                      <td>{error.row}</td>
+                      <td>{IMPORT_FIELD_LABELS[error.field]}</td>
+                      <td>{error.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {report.errors.length > MAX_LISTED_ERRORS && (
+                <p className="import-hint">
+                  Showing {MAX_LISTED_ERRORS} of {report.errors.length.toLocaleString()} problems.
+                </p>
+              )}
+            </>
+          )}
+
+          <div className="form-actions">
+            {report.errors.length > 0 && (
+              <button type="button" className="form-cancel" onClick={downloadErrorReport}>
+                Download Error Report
+              </button>
+            )}
+            <button type="button" className="form-save" onClick={onClose}>
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="modal-backdrop" onMouseDown={(e) => e.target === e.currentTarget && !busy && onClose()}>
+      <form
+        className="customer-form import-dialog"
+        onSubmit={handleSubmit}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-dialog-title"
+      >
+        <h2 id="import-dialog-title">Import Customers</h2>
+
+        {/* Step 1: the file */}
+        <div className="form-field">
+          <label htmlFor="import-file">CSV or JSON file</label>
+          <input
+            id="import-file"
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={handleFileChange}
+            disabled={!!busy}
+          />
+          {file && (
+            <p className="import-hint">
+              {file.rows.length.toLocaleString()} rows, {file.columns.length} columns in {file.name}
+            </p>
+          )}
+        </div>
+
+        {/* Step 2: which column holds which field, and what to do with existing customers */}
+        {file && mapping && (
+          <>
+            <fieldset className="export-section" disabled={!!busy}>
+              <legend>Columns</legend>
+              {IMPORT_FIELDS.map(field => (
+                <div key={field} className="import-mapping-row">
+                  <label htmlFor={`import-map-${field}`}>
+                    {IMPORT_FIELD_LABELS[field]}
+                    {field === 'lastMessageAt' && <span className="import-hint"> (optional)</span>}
+                  </label>
+                  <select
+                    id={`import-map-${field}`}
+                    value={mapping[field]}
+                    onChange={(e) => setMapping(prev => ({ ...prev, [field]: Number(e.target.value) }))}
+                  >
+                    <option value={-1}>— Not mapped —</option>
+                    {file.columns.map((column, index) => (
+                      <option key={index} value={index}>{column || `Column ${index + 1}`}</option>
+                    ))}
+                  </select>
+                  <span className="import-sample" title="Value in the first row">
+                    {mapping[field] >= 0 ? String(sample[mapping[field]] ?? '') : ''}
+                  </span>
+                </div>
+              ))}
+            </fieldset>
+
+            <fieldset className="export-section" disabled={!!busy}>
+              <legend>Existing customers</legend>
+              <label className="export-option">
+                <input type="radio" name="import-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                Merge: update customers with the same email, add the rest
+              </label>
+              <label className="export-option">
+                <input type="radio" name="import-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                Replace: delete all existing customers first
+              </label>
+            </fieldset>
+          </>
+        )}
+
+        {unmapped.length > 0 && (
+          <p className="form-error">
+            Map a column to: {unmapped.map(field => IMPORT_FIELD_LABELS[field]).join(', ')}
+          </p>
+        )}
+        {importError && <p className="form-error form-submit-error">⚠️ {importError}</p>}
+
+        <div className="form-actions">
+          <button type="button" className="form-cancel" onClick={onClose} disabled={!!busy}>
+            Cancel
+          </button>
+          <button type="submit" className="form-save" disabled={!!busy || !file || unmapped.length > 0}>
+            {busy === 'Importing...' ? `Importing... ${progress}%` : busy || 'Import'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ImportDialog;
@@ -0,0 +1,57 @@
+import React from 'react';
+
+const INPUT_TYPES = {
+  email: 'email',
+  phone: 'tel',
+  score: 'number'
+};
+
+/**
+ * In-place editor for one table cell
+ * Enter saves, Escape cancels. The draft value lives in the table's state,
+ * not here, so a row that is virtualized away and back keeps its edit.
+ * @param {string} field - Customer field being edited
+ * @param {string} value - Current draft value
+ * @param {string|null} error - Validation or save error to show
+ * @param {boolean} saving - Whether the value is being saved
+ * @param {function} onChange - Called with the new draft value
+ * @param {function} onSave - Called to validate and save the draft
+ * @param {function} onCancel - Called to discard the draft
+ */
+const InlineCellEditor = ({ field, value, error, saving, onChange, onSave, onCancel }) => {
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      onSave();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      onCancel();
+    }
+  };
+
+  return (
+    <span
+      className={`inline-editor${error ? ' has-error' : ''}`}
+      // Clicks inside the editor must not reach the row (which opens the form)
+      onClick={(e) => e.stopPropagation()}
+      onDoubleClick={(e) => e.stopPropagation()}
+    >
+      <input
+        type={INPUT_TYPES[field] || 'text'}
+        value={value}
+        min={field === 'score' ? 1 : undefined}
+        max={field === 'score' ? 100 : undefined}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        disabled={saving}
+        autoFocus
+        aria-invalid={!!error}
+        aria-label={`Edit ${field}`}
+        title={error || 'Enter to save, Escape to cancel'}
+      />
+      {error && <span className="inline-editor-error" role="alert">{error}</span>}
+    </span>
+  );
+};
+
+export default InlineCellEditor;
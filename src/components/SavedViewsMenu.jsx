@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import { validateViewName, MAX_VIEW_NAME_LENGTH } from '../utils/savedViews';
+
+/**
+ * Switcher for the saved views, in the app header
+ * Opening a view restores its search, sort, filters and columns at once.
+ * Every view can be renamed, overwritten with the current view, deleted or
+ * made the default (opened on start); the current view can be saved under
+ * a new name. Changes are async, failures are shown in the menu.
+ * @param {Array} views - Saved views, sorted by name
+ * @param {number|null} activeViewId - View last opened or saved
+ * @param {boolean} isModified - Whether the list has changed since that view was opened
+ * @param {function} onOpen - Called with the view to open
+ * @param {function} onSave - Called with a name, saves the current view under it
+ * @param {function} onOverwrite - Called with the view to replace with the current one
+ * @param {function} onRename - Called with (view, name)
+ * @param {function} onDelete - Called with the view to delete
+ * @param {function} onSetDefault - Called with the id of the new default view, or null
+ */
+const SavedViewsMenu = ({
+  views,
+  activeViewId,
+  isModified,
+  onOpen,
+  onSave,
+  onOverwrite,
+  onRename,
+  onDelete,
+  onSetDefault
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  // View being renamed: { id, name }
+  const [renaming, setRenaming] = useState(null);
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const activeView = views.find(view => view.id === activeViewId);
+
+  const runAction = async (action) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error('❌ Saved view update failed:', err);
+      setError(err.message || 'Something went wrong');
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const toggleMenu = () => {
+    setIsOpen(!isOpen);
+    setRenaming(null);
+    setError(null);
+  };
+
+  const handleOpen = (view) => {
+    onOpen(view);
+    setIsOpen(false);
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const name = newName.trim();
+    const existing = views.find(view => view.name.toLowerCase() === name.toLowerCase());
+
+    if (existing) {
+      if (!window.confirm(`Replace the view "${existing.name}" with the current one?`)) return;
+      if (await runAction(() => onOverwrite(existing))) setNewName('');
+      return;
+    }
+
+    const nameError = validateViewName(name, views);
+    if (nameError) {
+      setError(nameError);
+      return;
+    }
+    if (await runAction(() => onSave(name))) setNewName('');
+  };
+
+  const handleRename = async (event) => {
+    event.preventDefault();
+    const view = views.find(item => item.id === renaming.id);
+    const name = renaming.name.trim();
+
+    const nameError = validateViewName(name, views, view.id);
+    if (nameError) {
+      setError(nameError);
+      return;
+    }
+    if (await runAction(() => onRename(view, name))) setRenaming(null);
+  };
+
+  const handleOverwrite = (view) => {
+    if (!window.confirm(`Replace the view "${view.name}" with the current one?`)) return;
+    runAction(() => onOverwrite(view));
+  };
+
+  const handleDelete = (view) => {
+    if (!window.confirm(`Delete the view "${view.name}"?`)) return;
+    runAction(() => onDelete(view));
+  };
+
+  return (
+    <div className="filter-dropdown saved-views">
+      <button
+        type="button"
+        className="filter-button saved-views-button"
+        onClick={toggleMenu}
+        aria-expanded={isOpen}
+      >
+        ⭐ {activeView ? activeView.name : 'Saved Views'}
+        {activeView && isModified && <span className="saved-views-modified"> (edited)</span>} ▼
+      </button>
+      {isOpen && (
+        <div className="filter-menu saved-views-menu">
+          <div className="filter-section">
+            <h4>Saved Views</h4>
+            {views.length === 0 && <p className="saved-views-empty">No saved views yet.</p>}
+            <ul className="saved-views-list">
+              {views.map(view => (
+                <li
+                  key={view.id}
+                  className={`saved-view${view.id === activeViewId ? ' active' : ''}`}
+                >
+                  {renaming?.id === view.id ? (
+                    <form className="saved-view-rename" onSubmit={handleRename}>
+                      <input
+                        type="text"
+                        value={renaming.name}
+                        maxLength={MAX_VIEW_NAME_LENGTH}
+                        onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                        aria-label={`New name for ${view.name}`}
+                        disabled={isBusy}
+                        autoFocus
+                      />
+                      <button type="submit" disabled={isBusy}>Save</button>
+                      <button type="button" onClick={() => setRenaming(null)} disabled={isBusy}>
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <>
+                      <button
+                        type="button"
+                        className="saved-view-open"
+                        onClick={() => handleOpen(view)}
+                        disabled={isBusy}
+                      >
+                        {view.name}
+                        {view.isDefault && <span className="saved-view-default">Default</span>}
+                      </button>
+                      <span className="saved-view-actions">
+                        <button
+                          type="button"
+                          onClick={() => runAction(() => onSetDefault(view.isDefault ? null : view.id))}
+                          disabled={isBusy}
+                          aria-pressed={!!view.isDefault}
+                          title={view.isDefault ? 'Stop opening this view on start' : 'Open this view on start'}
+                          aria-label={`Default view: ${view.name}`}
+                        >
+                          {view.isDefault ? '★' : '☆'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleOverwrite(view)}
+                          disabled={isBusy}
+                          title="Replace with the current view"
+                          aria-label={`Overwrite ${view.name}`}
+                        >
+                          ⟳
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setRenaming({ id: view.id, name: view.name });
+                            setError(null);
+                          }}
+                          disabled={isBusy}
+                          title="Rename"
+                          aria-label={`Rename ${view.name}`}
+                        >
+                          ✎
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(view)}
+                          disabled={isBusy}
+                          title="Delete"
+                          aria-label={`Delete ${view.name}`}
+                        >
+                          🗑
+                        </button>
+                      </span>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+          <form id="saved-view-new" className="filter-section saved-view-new" onSubmit={handleSave}>
+            <h4>Save Current View</h4>
+            <input
+              type="text"
+              value={newName}
+              maxLength={MAX_VIEW_NAME_LENGTH}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="View name"
+              aria-label="Name of the new view"
+              disabled={isBusy}
+            />
+          </form>
+          {error && <p className="form-error saved-views-error">⚠️ {error}</p>}
+          <div className="filter-actions">
+            <button type="button" className="filter-clear" onClick={toggleMenu}>Close</button>
+            <button
+              type="submit"
+              form="saved-view-new"
+              className="filter-apply"
+              disabled={isBusy || !newName.trim()}
+            >
+              Save View
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedViewsMenu;
@@ -1,21 +1,56 @@
 import React from 'react';
+import { getQueryChips } from '../utils/queryParser';
 
 /**
- * Search bar component with placeholder for search functionality
+ * Search bar with field-scoped query syntax
+ * Shows the parse error, or chips describing how the query was understood
  * @param {string} searchTerm - Current search term
  * @param {function} onSearchChange - Callback when search term changes
+ * @param {Object} parsedQuery - Result of parseQuery() for the (debounced) term
+ * @param {boolean} fuzzy - Whether typo-tolerant matching is on
+ * @param {function} onFuzzyChange - Callback when the fuzzy toggle changes
  */
-const SearchBar = ({ searchTerm, onSearchChange }) => {
+const SearchBar = ({ searchTerm, onSearchChange, parsedQuery, fuzzy, onFuzzyChange }) => {
+  const error = parsedQuery?.error;
+  const chips = parsedQuery ? getQueryChips(parsedQuery.ast) : [];
+
   return (
     <div className="search-bar">
-      <input
-        type="text"
-        placeholder="Search by name, email, or phone..."
-        value={searchTerm}
-        onChange={(e) => onSearchChange(e.target.value)}
-        className="search-input"
-      />
-      <span className="search-icon">🔍</span>
+      <div className="search-input-wrapper">
+        <input
+          type="text"
+          placeholder='Search... e.g. email:gmail.com score:>80 addedBy:"Mary Smith" last:<30d -name:john'
+          value={searchTerm}
+          onChange={(e) => onSearchChange(e.target.value)}
+          className={`search-input${error ? ' has-error' : ''}`}
+          aria-invalid={!!error}
+          aria-describedby="search-feedback"
+        />
+        <span className="search-icon">🔍</span>
+      </div>
+      <label className="fuzzy-toggle" title="Tolerate typos and rank results by relevance">
+        <input
+          type="checkbox"
+          checked={fuzzy}
+          onChange={(e) => onFuzzyChange(e.target.checked)}
+        />
+        Typo-tolerant
+      </label>
+      <div id="search-feedback" className="search-feedback" aria-live="polite">
+        {error ? (
+          <p className="search-error">⚠️ {error.message} (at character {error.position + 1})</p>
+        ) : (
+          chips.length > 0 && (
+            <ul className="query-chips">
+              {chips.map((chip, index) => (
+                <li key={index} className={`query-chip${chip.negated ? ' negated' : ''}`}>
+                  {chip.label}
+                </li>
+              ))}
+            </ul>
+          )
+        )}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,53 @@
+import React from 'react';
+import { CUSTOMER_COLUMN_FIELDS } from '../utils/customerColumns';
+import { toFormValues, validateCustomerField } from '../utils/customerRecords';
+import { getScoreBand } from '../utils/customerFilters';
+
+/**
+ * Format date to readable string
+ */
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+// Cells that are more than the field's (highlighted) text
+const CELL_RENDERERS = {
+  name: (customer, { highlight, editable }) => (
+    <div className="name-cell">
+      <div
+        className="avatar"
+        style={{ backgroundColor: customer.avatar.color }}
+      >
+        {customer.avatar.initials}
+      </div>
+      <span>{editable('name', highlight('name'))}</span>
+    </div>
+  ),
+
+  score: (customer, { editable }) => editable('score', (
+    <span className={`score-badge score-${getScoreBand(customer.score)}`}>
+      {customer.score}
+    </span>
+  )),
+
+  lastMessageAt: (customer) => formatDate(customer.lastMessageAt)
+};
+
+/**
+ * Column definitions of the customer table (see CustomerTable's `columns`)
+ * The fields' definitions plus how to render and edit their cells.
+ */
+export const CUSTOMER_TABLE_COLUMNS = CUSTOMER_COLUMN_FIELDS.map(column => ({
+  ...column,
+  cell: CELL_RENDERERS[column.key] ??
+    ((customer, { highlight, editable }) => editable(column.key, highlight(column.key))),
+  ...(column.editable && {
+    editValue: (customer) => toFormValues(customer)[column.key],
+    validate: (value) => validateCustomerField(column.key, value)
+  })
+}));
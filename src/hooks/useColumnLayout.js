@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  createDefaultColumnLayouts,
+  normalizeColumnLayouts,
+  readColumnLayouts,
+  writeColumnLayouts
+} from '../utils/columnLayout';
+
+/**
+ * Custom hook for a table's column layout at one breakpoint
+ *
+ * Every breakpoint keeps its own layout; all of them are stored together
+ * in localStorage whenever one changes.
+ *
+ * @param {string} breakpoint - 'desktop' or 'tablet'
+ * @param {Array} columns - The table's column definitions
+ * @param {string} storageKey - localStorage key of the table's layouts
+ * @returns {Object} { layout, updateLayout(layout => newLayout), resetLayout(),
+ *   layouts: every breakpoint's layout, replaceLayouts(layouts) }
+ */
+export const useColumnLayout = (breakpoint, columns, storageKey) => {
+  const defaultLayouts = useMemo(() => createDefaultColumnLayouts(columns), [columns]);
+  const [layouts, setLayouts] = useState(() => readColumnLayouts(storageKey, defaultLayouts));
+
+  useEffect(() => {
+    writeColumnLayouts(storageKey, layouts);
+  }, [storageKey, layouts]);
+
+  const updateLayout = useCallback((update) => {
+    setLayouts(current => {
+      const next = update(current[breakpoint]);
+      return next === current[breakpoint] ? current : { ...current, [breakpoint]: next };
+    });
+  }, [breakpoint]);
+
+  const resetLayout = useCallback(() => {
+    setLayouts(current => ({ ...current, [breakpoint]: defaultLayouts[breakpoint] }));
+  }, [breakpoint, defaultLayouts]);
+
+  // e.g. the layouts kept with a saved view
+  const replaceLayouts = useCallback((next) => {
+    setLayouts(normalizeColumnLayouts(next, defaultLayouts));
+  }, [defaultLayouts]);
+
+  return { layout: layouts[breakpoint], updateLayout, resetLayout, layouts, replaceLayouts };
+};
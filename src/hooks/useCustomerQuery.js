@@ -0,0 +1,55 @@
+import { useState, useEffect, useMemo } from 'react';
+import { isAbortError } from '../utils/queryEngine';
+import { createResultDataSource } from '../utils/customerDataSource';
+
+const EMPTY_IDS = new Int32Array(0);
+
+/**
+ * Custom hook to run the current search query / filters / sort in the query worker
+ *
+ * Every change of the inputs starts a new query; the engine cancels the one
+ * still running, so only the newest result is ever applied.
+ *
+ * @param {Object} queryEngine - Engine created by createQueryEngine()
+ * @param {Object} params - { query, fuzzy, filters, sortConfig, dataVersion, enabled }
+ *   query is the parsed search-box AST (null when nothing is searched),
+ *   fuzzy ranks typo-tolerant text matches by relevance,
+ *   dataVersion re-runs the query when the dataset itself changes,
+ *   enabled=false skips querying while another data source serves the view
+ * @returns {Object} { ids, dataSource, isQuerying }
+ */
+export const useCustomerQuery = (queryEngine, { query, fuzzy, filters, sortConfig, dataVersion, enabled = true }) => {
+  const [ids, setIds] = useState(EMPTY_IDS);
+  const [isQuerying, setIsQuerying] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let active = true;
+    setIsQuerying(true);
+
+    queryEngine.query({ query, fuzzy, filters, sortConfig })
+      .then((result) => {
+        if (!active) return;
+        setIds(result.ids);
+        setIsQuerying(false);
+      })
+      .catch((error) => {
+        // Superseded queries are expected: a newer one is already running
+        if (isAbortError(error)) return;
+        console.error('❌ Query failed:', error);
+        if (active) setIsQuerying(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [queryEngine, query, fuzzy, filters, sortConfig, dataVersion, enabled]);
+
+  const dataSource = useMemo(
+    () => createResultDataSource(queryEngine, ids),
+    [queryEngine, ids]
+  );
+
+  return { ids, dataSource, isQuerying };
+};
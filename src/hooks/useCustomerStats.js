@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+import { isAbortError } from '../utils/queryEngine';
+
+/**
+ * Custom hook for the dashboard's statistics over the current result
+ *
+ * The worker computes them in chunks; a newer result cancels the statistics
+ * still being computed for an older one, so only the newest are applied.
+ * The previous statistics stay on screen in the meantime.
+ *
+ * @param {Object} queryEngine - Engine created by createQueryEngine()
+ * @param {Int32Array} ids - Ids of the current result
+ * @param {boolean} enabled - false while the dashboard isn't shown
+ * @returns {Object} { stats (null until the first are in), isComputing }
+ */
+export const useCustomerStats = (queryEngine, ids, enabled = true) => {
+  const [stats, setStats] = useState(null);
+  const [isComputing, setIsComputing] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let active = true;
+    setIsComputing(true);
+
+    queryEngine.stats(ids)
+      .then((result) => {
+        if (!active) return;
+        setStats(result);
+        setIsComputing(false);
+      })
+      .catch((error) => {
+        // Superseded statistics are expected: newer ones are already running
+        if (isAbortError(error)) return;
+        console.error('❌ Statistics failed:', error);
+        if (active) setIsComputing(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [queryEngine, ids, enabled]);
+
+  return { stats, isComputing };
+};
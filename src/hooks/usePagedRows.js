@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Rows fetched per request
+const PAGE_SIZE = 100;
+
+// Pages kept around the visible range; farther pages are evicted
+const MAX_CACHED_PAGES = 30;
+
+const createCache = (dataSource) => ({
+  dataSource,
+  pages: new Map(),
+  loading: new Set()
+});
+
+/**
+ * Custom hook to read the visible window of a paged data source
+ *
+ * Fetches the pages covering [start, end) and caches them until the data
+ * source changes. Rows that are not loaded yet come back as undefined so the
+ * table can render a placeholder in their place.
+ *
+ * @param {Object} dataSource - { length, loadRange(start, end) }
+ * @param {number} start - First visible index
+ * @param {number} end - Index after the last visible row
+ * @returns {Function} getRow(index) => customer | undefined
+ */
+export const usePagedRows = (dataSource, start, end) => {
+  const cacheRef = useRef(null);
+  const [, setLoadedCount] = useState(0);
+
+  if (!cacheRef.current || cacheRef.current.dataSource !== dataSource) {
+    cacheRef.current = createCache(dataSource);
+  }
+
+  useEffect(() => {
+    const cache = cacheRef.current;
+    const firstPage = Math.floor(start / PAGE_SIZE);
+    const lastPage = Math.floor(Math.max(start, end - 1) / PAGE_SIZE);
+
+    // Evict the pages farthest from the visible range
+    if (cache.pages.size > MAX_CACHED_PAGES) {
+      const distance = (page) => Math.max(firstPage - page, page - lastPage, 0);
+      [...cache.pages.keys()]
+        .sort((a, b) => distance(b) - distance(a))
+        .slice(0, cache.pages.size - MAX_CACHED_PAGES)
+        .forEach(page => cache.pages.delete(page));
+    }
+
+    for (let page = firstPage; page <= lastPage; page++) {
+      const pageStart = page * PAGE_SIZE;
+      const pageEnd = Math.min(pageStart + PAGE_SIZE, dataSource.length);
+      if (pageStart >= pageEnd || cache.pages.has(page) || cache.loading.has(page)) continue;
+
+      cache.loading.add(page);
+      dataSource.loadRange(pageStart, pageEnd)
+        .then((rows) => {
+          cache.loading.delete(page);
+          // Ignore pages of a data source that has been replaced meanwhile
+          if (cacheRef.current !== cache) return;
+          cache.pages.set(page, rows);
+          setLoadedCount(count => count + 1);
+        })
+        .catch((error) => {
+          cache.loading.delete(page);
+          console.error(`❌ Failed to load rows ${pageStart}-${pageEnd}:`, error);
+        });
+    }
+  }, [dataSource, start, end]);
+
+  const cache = cacheRef.current;
+  return (index) => cache.pages.get(Math.floor(index / PAGE_SIZE))?.[index % PAGE_SIZE];
+};
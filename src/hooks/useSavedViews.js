@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Custom hook for the list of saved views
+ *
+ * The list is read again after every change, and whenever another tab
+ * announces one of its own. Once the first read is in, onLoaded is called
+ * (once) with the views, e.g. to open the default one.
+ *
+ * @param {Object|null} store - Store from createSavedViewStore(), null until storage is ready
+ * @param {Object} tabSync - Channel to the other tabs (see tabSync.js)
+ * @param {Function} onLoaded - Called with the views after the first read
+ * @returns {Object} { views, saveView(view), deleteView(id), setDefaultView(id | null) },
+ *   each change returns a promise (saveView's resolves with the stored view)
+ */
+export const useSavedViews = (store, tabSync, onLoaded) => {
+  const [views, setViews] = useState([]);
+
+  const onLoadedRef = useRef(onLoaded);
+  onLoadedRef.current = onLoaded;
+  const loaded = useRef(false);
+
+  const reload = useCallback(async () => {
+    const next = await store.getAll();
+    setViews(next);
+    if (!loaded.current) {
+      loaded.current = true;
+      onLoadedRef.current(next);
+    }
+  }, [store]);
+
+  useEffect(() => {
+    if (!store) return;
+    reload().catch(err => console.error('❌ Failed to read saved views:', err));
+
+    if (!store.shared) return;
+    return tabSync.subscribe((message) => {
+      if (message.type !== 'saved-views-changed') return;
+      reload().catch(err => console.error('❌ Failed to read saved views:', err));
+    });
+  }, [store, tabSync, reload]);
+
+  const change = useCallback(async (action) => {
+    const result = await action();
+    await reload();
+    if (store.shared) tabSync.post({ type: 'saved-views-changed' });
+    return result;
+  }, [store, tabSync, reload]);
+
+  const saveView = useCallback((view) => change(() => store.put(view)), [change, store]);
+  const deleteView = useCallback((id) => change(() => store.remove(id)), [change, store]);
+  const setDefaultView = useCallback((id) => change(() => store.setDefault(id)), [change, store]);
+
+  return { views, saveView, deleteView, setDefaultView };
+};
@@ -0,0 +1,30 @@
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Custom hook to throttle a value
+ * Unlike useDebounce, a constantly changing value still updates at most
+ * once per interval instead of waiting for the changes to stop
+ * @param {any} value - The value to throttle
+ * @param {number} interval - Minimum time between updates in milliseconds (default: 1000ms)
+ * @returns {any} - The throttled value
+ */
+export const useThrottle = (value, interval = 1000) => {
+  const [throttledValue, setThrottledValue] = useState(value);
+  const lastUpdated = useRef(0);
+
+  useEffect(() => {
+    const remaining = interval - (Date.now() - lastUpdated.current);
+
+    // Update on the trailing edge of the interval so the last value is never lost
+    const handler = setTimeout(() => {
+      lastUpdated.current = Date.now();
+      setThrottledValue(value);
+    }, Math.max(0, remaining));
+
+    return () => {
+      clearTimeout(handler);
+    };
+  }, [value, interval]);
+
+  return throttledValue;
+};
@@ -0,0 +1,49 @@
+import { useEffect, useRef } from 'react';
+import { readViewState, writeViewState } from '../utils/viewState';
+
+/**
+ * Custom hook to keep the current view in the URL query string
+ *
+ * A changed search, sort or filter pushes a new history entry, so back and
+ * forward step through earlier views; so does opening or closing a customer's
+ * detail panel. Scrolling only replaces the current entry. Nothing is written while `settled` is false (the search term is
+ * still being debounced), which also stops a back/forward restore from being
+ * recorded as a new view half-way through.
+ *
+ * @param {Object} view - { searchTerm, fuzzy, sortConfig, filters, row, customerId }
+ * @param {boolean} settled - Whether the view is ready to be recorded
+ * @param {Function} onRestore - Called with the view read from the URL on back/forward
+ */
+export const useUrlState = (view, settled, onRestore) => {
+  const onRestoreRef = useRef(onRestore);
+  onRestoreRef.current = onRestore;
+
+  // The first write only tidies up the URL the page was opened with
+  const firstWrite = useRef(true);
+
+  const search = writeViewState(view, window.location.search);
+  const viewKey = writeViewState({ ...view, row: 0 });
+
+  useEffect(() => {
+    const handlePopState = () => onRestoreRef.current(readViewState(window.location.search));
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  useEffect(() => {
+    if (!settled) return;
+    const isFirstWrite = firstWrite.current;
+    firstWrite.current = false;
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const currentKey = writeViewState({ ...readViewState(window.location.search), row: 0 });
+
+    if (isFirstWrite || viewKey === currentKey) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }, [search, viewKey, settled]);
+};
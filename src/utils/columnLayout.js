@@ -0,0 +1,188 @@
+/**
+ * Column layout of a table: which columns show, in what order and how wide
+ *
+ * Desktop and tablet each have their own layout (mobile shows cards), kept
+ * in localStorage so a user's layout survives reloads:
+ *
+ *   { desktop: { order: ['id', 'name', ...], hidden: ['phone'], widths: { id: 80, ... } },
+ *     tablet: { ... } }
+ *
+ * A stored layout is always normalized against the defaults worked out
+ * from the table's column definitions, so columns added later show up and
+ * columns that no longer exist are dropped.
+ */
+
+export const MIN_COLUMN_WIDTH = 60;
+export const MAX_COLUMN_WIDTH = 800;
+
+const DEFAULT_WIDTH = 150;
+
+/**
+ * Keep a column width within the supported range
+ * @param {number} width
+ * @returns {number}
+ */
+export const clampColumnWidth = (width) =>
+  Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, Math.round(width)));
+
+/**
+ * Layouts a table starts with, from its column definitions
+ * Tablets leave out the columns marked `tablet: false` (the column chooser
+ * can bring them back) and use `tabletWidth` where one is given.
+ * @param {Array} columns - [{ key, width, tabletWidth, tablet }]
+ * @returns {Object} { desktop, tablet }
+ */
+export const createDefaultColumnLayouts = (columns) => {
+  const order = columns.map(column => column.key);
+  const widthsOf = (pickWidth) => Object.fromEntries(
+    columns.map(column => [column.key, clampColumnWidth(pickWidth(column) ?? DEFAULT_WIDTH)])
+  );
+
+  return {
+    desktop: {
+      order,
+      hidden: [],
+      widths: widthsOf(column => column.width)
+    },
+    tablet: {
+      order,
+      hidden: columns.filter(column => column.tablet === false).map(column => column.key),
+      widths: widthsOf(column => column.tabletWidth ?? column.width)
+    }
+  };
+};
+
+/**
+ * Fill in defaults and drop anything unknown or invalid
+ * @param {Object} layout - Possibly partial or outdated layout
+ * @param {Object} defaults - Layout to fall back on
+ * @returns {Object} Complete layout
+ */
+export const normalizeColumnLayout = (layout, defaults) => {
+  const known = new Set(defaults.order);
+  const stored = Array.isArray(layout?.order) ? layout.order.filter(key => known.has(key)) : [];
+  const order = [...new Set(stored), ...defaults.order.filter(key => !stored.includes(key))];
+
+  const hidden = Array.isArray(layout?.hidden)
+    ? layout.hidden.filter(key => known.has(key))
+    : defaults.hidden;
+
+  const widths = {};
+  for (const key of order) {
+    const width = Number(layout?.widths?.[key]);
+    widths[key] = Number.isFinite(width) ? clampColumnWidth(width) : defaults.widths[key];
+  }
+
+  // At least one column always shows
+  return { order, hidden: hidden.length >= order.length ? [] : hidden, widths };
+};
+
+/**
+ * Normalize the layouts of every breakpoint (see normalizeColumnLayout)
+ * @param {Object} layouts - Possibly partial or outdated { desktop, tablet }
+ * @param {Object} defaultLayouts - Result of createDefaultColumnLayouts()
+ * @returns {Object} { desktop, tablet }
+ */
+export const normalizeColumnLayouts = (layouts, defaultLayouts) => {
+  const normalized = {};
+  for (const [breakpoint, defaults] of Object.entries(defaultLayouts)) {
+    normalized[breakpoint] = normalizeColumnLayout(layouts?.[breakpoint], defaults);
+  }
+  return normalized;
+};
+
+/**
+ * Read the stored layouts of every breakpoint
+ * @param {string} storageKey - localStorage key of the table's layouts
+ * @param {Object} defaultLayouts - Result of createDefaultColumnLayouts()
+ * @returns {Object} { desktop, tablet }
+ */
+export const readColumnLayouts = (storageKey, defaultLayouts) => {
+  let stored = null;
+  try {
+    stored = JSON.parse(globalThis.localStorage?.getItem(storageKey) ?? 'null');
+  } catch (error) {
+    console.warn('Could not read the column layout:', error);
+  }
+  return normalizeColumnLayouts(stored, defaultLayouts);
+};
+
+/**
+ * Store the layouts of every breakpoint
+ * @param {string} storageKey - localStorage key of the table's layouts
+ * @param {Object} layouts - { desktop, tablet }
+ */
+export const writeColumnLayouts = (storageKey, layouts) => {
+  try {
+    globalThis.localStorage?.setItem(storageKey, JSON.stringify(layouts));
+  } catch (error) {
+    console.warn('Could not store the column layout:', error);
+  }
+};
+
+/**
+ * Keys of the columns shown, in display order
+ * @param {Object} layout
+ * @returns {Array<string>}
+ */
+export const getVisibleColumnKeys = (layout) =>
+  layout.order.filter(key => !layout.hidden.includes(key));
+
+/**
+ * Move a column to where another one is (the other one shifts aside)
+ * @param {Object} layout
+ * @param {string} key - Column to move
+ * @param {string} targetKey - Column whose place it takes
+ * @returns {Object} New layout
+ */
+export const moveColumn = (layout, key, targetKey) => {
+  const to = layout.order.indexOf(targetKey);
+  if (key === targetKey || to === -1 || !layout.order.includes(key)) return layout;
+
+  const order = layout.order.filter(item => item !== key);
+  order.splice(to, 0, key);
+  return { ...layout, order };
+};
+
+/**
+ * Move a column one place left (-1) or right (1) among the visible ones
+ * @param {Object} layout
+ * @param {string} key
+ * @param {number} offset - -1 or 1
+ * @returns {Object} New layout
+ */
+export const shiftColumn = (layout, key, offset) => {
+  const visible = getVisibleColumnKeys(layout);
+  const target = visible[visible.indexOf(key) + offset];
+  return target ? moveColumn(layout, key, target) : layout;
+};
+
+/**
+ * Change the width of a column
+ * @param {Object} layout
+ * @param {string} key
+ * @param {number} width - In pixels, clamped to the supported range
+ * @returns {Object} New layout
+ */
+export const setColumnWidth = (layout, key, width) => {
+  const next = clampColumnWidth(width);
+  if (layout.widths[key] === next) return layout;
+  return { ...layout, widths: { ...layout.widths, [key]: next } };
+};
+
+/**
+ * Show or hide a column (the last visible one cannot be hidden)
+ * @param {Object} layout
+ * @param {string} key
+ * @param {boolean} hidden
+ * @returns {Object} New layout
+ */
+export const setColumnHidden = (layout, key, hidden) => {
+  if (hidden === layout.hidden.includes(key)) return layout;
+  if (hidden && getVisibleColumnKeys(layout).length <= 1) return layout;
+
+  return {
+    ...layout,
+    hidden: hidden ? [...layout.hidden, key] : layout.hidden.filter(item => item !== key)
+  };
+};
@@ -0,0 +1,164 @@
+/**
+ * CSV export of customer records
+ *
+ * Exports are written chunk by chunk: each chunk of rows is loaded, turned
+ * into CSV text and handed to a sink before the next one is read, so a 1M
+ * row export never holds all the records at once and yields to the browser
+ * between chunks. Where the File System Access API exists the sink streams
+ * straight into the file the user picked; elsewhere chunks are collected as
+ * Blobs (which browsers may keep on disk) and downloaded at the end.
+ */
+
+import { EXPORTABLE_COLUMNS } from './customerColumns';
+
+// The list's exportable columns, plus the nested avatar data flattened into
+// two optional columns
+export const CSV_COLUMNS = [
+  ...EXPORTABLE_COLUMNS.map(({ key, header }) => ({ key, header, value: customer => customer[key] })),
+  { key: 'avatarInitials', header: 'Avatar Initials', value: customer => customer.avatar?.initials },
+  { key: 'avatarColor', header: 'Avatar Color', value: customer => customer.avatar?.color }
+];
+
+export const DEFAULT_EXPORT_COLUMNS = EXPORTABLE_COLUMNS.map(column => column.key);
+
+// Rows loaded and formatted per step
+export const EXPORT_CHUNK_SIZE = 10000;
+
+const COLUMNS_BY_KEY = new Map(CSV_COLUMNS.map(column => [column.key, column]));
+
+/**
+ * Quote a value if it contains a comma, quote or line break (RFC 4180)
+ * @param {any} value
+ * @returns {string}
+ */
+export const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line, including the line break
+ * @param {Array} values
+ * @returns {string}
+ */
+export const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Header line for the given columns
+ * @param {Array<string>} columnKeys - Keys from CSV_COLUMNS, in order
+ * @returns {string}
+ */
+export const csvHeader = (columnKeys) => toCsvLine(columnKeys.map(key => COLUMNS_BY_KEY.get(key).header));
+
+/**
+ * Format customers as CSV lines (no header)
+ * Plain function of its arguments, so the query worker can run it too.
+ * @param {Array<Object>} customers
+ * @param {Array<string>} columnKeys - Keys from CSV_COLUMNS, in order
+ * @returns {string}
+ */
+export const customersToCsv = (customers, columnKeys = DEFAULT_EXPORT_COLUMNS) => {
+  const columns = columnKeys.map(key => COLUMNS_BY_KEY.get(key));
+  let csv = '';
+  for (const customer of customers) {
+    csv += toCsvLine(columns.map(column => column.value(customer)));
+  }
+  return csv;
+};
+
+/**
+ * Offer a Blob to the user as a file download
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Open the destination of an export
+ * Rejects with an AbortError if the user dismisses the save dialog
+ * @param {string} filename - Suggested file name
+ * @returns {Promise<Object>} { write(text), close(), abort() }
+ */
+const openCsvSink = async (filename) => {
+  if (typeof window.showSaveFilePicker === 'function') {
+    const handle = await window.showSaveFilePicker({
+      suggestedName: filename,
+      types: [{ description: 'CSV file', accept: { 'text/csv': ['.csv'] } }]
+    });
+    const writable = await handle.createWritable();
+    return {
+      write: (text) => writable.write(text),
+      close: () => writable.close(),
+      abort: () => writable.abort()
+    };
+  }
+
+  const parts = [];
+  return {
+    write: async (text) => {
+      parts.push(new Blob([text], { type: 'text/csv' }));
+    },
+    close: async () => {
+      downloadBlob(new Blob(parts, { type: 'text/csv;charset=utf-8' }), filename);
+    },
+    abort: async () => {
+      parts.length = 0;
+    }
+  };
+};
+
+/**
+ * Export rows to a CSV file, one chunk at a time
+ * @param {Object} options
+ * @param {string} options.filename - Suggested file name
+ * @param {Array<string>} options.columnKeys - Columns to write, in order
+ * @param {number} options.rowCount - Number of rows to export
+ * @param {Function} options.loadChunk - Async (start, end) => CSV text of rows [start, end)
+ * @param {Function} options.onProgress - Called with (exported, total) after each chunk
+ * @param {Function} options.isCancelled - Checked before each chunk
+ * @returns {Promise<boolean>} false if cancelled (by the user or the save dialog)
+ */
+export const exportCsv = async ({ filename, columnKeys, rowCount, loadChunk, onProgress, isCancelled }) => {
+  let sink;
+  try {
+    sink = await openCsvSink(filename);
+  } catch (error) {
+    if (error.name === 'AbortError') return false;
+    throw error;
+  }
+
+  try {
+    await sink.write(csvHeader(columnKeys));
+
+    for (let start = 0; start < rowCount; start += EXPORT_CHUNK_SIZE) {
+      if (isCancelled()) {
+        await sink.abort();
+        return false;
+      }
+
+      const end = Math.min(start + EXPORT_CHUNK_SIZE, rowCount);
+      await sink.write(await loadChunk(start, end));
+      if (onProgress) onProgress(end, rowCount);
+
+      // Yield to browser to keep UI responsive
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    await sink.close();
+    console.log(`✅ Exported ${rowCount} rows to ${filename}`);
+    return true;
+  } catch (error) {
+    await sink.abort().catch(() => {});
+    throw error;
+  }
+};
@@ -0,0 +1,162 @@
+/**
+ * Columns of the customer list
+ *
+ * One definition per field drives the desktop and tablet tables, the mobile
+ * cards, the mobile sort selects, the URL's sort parameter, how the query
+ * worker compares and searches the field's values, which sorts IndexedDB
+ * can page, search highlighting and the CSV export. The worker loads this module
+ * too, so it holds no JSX: cell renderers and in-place editing are added
+ * on top in components/customerTableColumns.jsx.
+ *
+ *   key          record field; also the sort column and column layout key
+ *   header       column header text
+ *   width        default width in pixels (tabletWidth on tablets, if set)
+ *   sortable     whether the list can be sorted by the column
+ *   sortType     'number', 'date' or 'text' (default): how values compare
+ *   sortLabels   [ascending, descending] wording in the mobile sort select
+ *   sortableFromIndex  whether an IndexedDB index (or the primary key) orders the
+ *                field the way the worker does, so a plain sort on it can be
+ *                paged from IndexedDB (text indexes compare by code unit, not
+ *                lowercased like the worker, so only fields without letters)
+ *   searchable   whether plain search terms look in the field (and so the
+ *                trigram index and fuzzy matching cover it)
+ *   searchWeight how much a fuzzy match in the field counts towards a result's
+ *                relevance (default 1)
+ *   highlight    whether search matches are highlighted in the field's cells
+ *   exportable   whether the field is a column of the CSV export
+ *   editable     whether double-clicking a cell edits it in place
+ *   className    class of the column's body cells
+ *   tablet       false to leave the column out of the default tablet layout
+ *   mobileRole   'title', 'subtitle' or 'badge': place in the mobile card header
+ *   mobileLabel  label of the column's line in the mobile card body
+ */
+
+export const CUSTOMER_COLUMN_FIELDS = [
+  {
+    key: 'id',
+    header: 'ID',
+    width: 80,
+    tabletWidth: 70,
+    sortable: true,
+    sortType: 'number',
+    mobileRole: 'subtitle',
+    sortableFromIndex: true,
+    exportable: true
+  },
+  {
+    key: 'name',
+    header: 'Name',
+    width: 200,
+    tabletWidth: 190,
+    sortable: true,
+    sortLabels: ['A-Z', 'Z-A'],
+    editable: true,
+    mobileRole: 'title',
+    searchable: true,
+    highlight: true,
+    exportable: true
+  },
+  {
+    key: 'phone',
+    header: 'Phone',
+    width: 180,
+    tabletWidth: 150,
+    sortable: true,
+    sortLabels: ['A-Z', 'Z-A'],
+    editable: true,
+    tablet: false,
+    mobileLabel: '📞 Phone',
+    sortableFromIndex: true,
+    searchable: true,
+    searchWeight: 0.6,
+    highlight: true,
+    exportable: true
+  },
+  {
+    key: 'email',
+    header: 'Email',
+    width: 250,
+    tabletWidth: 220,
+    sortable: true,
+    sortLabels: ['A-Z', 'Z-A'],
+    editable: true,
+    className: 'email-cell',
+    mobileLabel: '📧 Email',
+    searchable: true,
+    searchWeight: 0.8,
+    highlight: true,
+    exportable: true
+  },
+  {
+    key: 'score',
+    header: 'Score',
+    width: 100,
+    tabletWidth: 90,
+    sortable: true,
+    sortType: 'number',
+    sortLabels: ['Low to High', 'High to Low'],
+    editable: true,
+    mobileRole: 'badge',
+    sortableFromIndex: true,
+    exportable: true
+  },
+  {
+    key: 'lastMessageAt',
+    header: 'Last Message',
+    width: 150,
+    tabletWidth: 140,
+    sortable: true,
+    sortType: 'date',
+    sortLabels: ['Oldest', 'Newest'],
+    mobileLabel: '💬 Last Message',
+    sortableFromIndex: true,
+    exportable: true
+  },
+  {
+    key: 'addedBy',
+    header: 'Added By',
+    width: 180,
+    tabletWidth: 150,
+    sortable: true,
+    sortLabels: ['A-Z', 'Z-A'],
+    editable: true,
+    tablet: false,
+    mobileLabel: '👤 Added By',
+    highlight: true,
+    exportable: true
+  }
+];
+
+// Column -> sortType of every sortable column
+export const CUSTOMER_SORT_TYPES = Object.fromEntries(
+  CUSTOMER_COLUMN_FIELDS
+    .filter(column => column.sortable)
+    .map(column => [column.key, column.sortType ?? 'text'])
+);
+
+// Columns a single-level sort on which can be paged straight from IndexedDB
+export const INDEXED_SORT_COLUMNS = CUSTOMER_COLUMN_FIELDS
+  .filter(column => column.sortableFromIndex)
+  .map(column => column.key);
+
+// Fields plain search terms look in
+export const SEARCHABLE_COLUMNS = CUSTOMER_COLUMN_FIELDS
+  .filter(column => column.searchable)
+  .map(column => column.key);
+
+// Searchable field -> weight of its fuzzy matches
+export const SEARCH_WEIGHTS = Object.fromEntries(
+  CUSTOMER_COLUMN_FIELDS
+    .filter(column => column.searchable)
+    .map(column => [column.key, column.searchWeight ?? 1])
+);
+
+// Fields whose cells highlight search matches
+export const HIGHLIGHTED_COLUMNS = CUSTOMER_COLUMN_FIELDS
+  .filter(column => column.highlight)
+  .map(column => column.key);
+
+// Columns of the CSV export: { key, header }
+export const EXPORTABLE_COLUMNS = CUSTOMER_COLUMN_FIELDS
+  .filter(column => column.exportable)
+  .map(({ key, header }) => ({ key, header }));
@@ -0,0 +1,195 @@
+/**
+ * Data sources for the virtualized CustomerTable
+ *
+ * A data source describes one ordered result set without holding it:
+ *   { length: number, loadRange(start, end): Promise<Array>, indexOf(customer): Promise<number> }
+ * The table only asks for the rows it is about to render; indexOf finds
+ * where a record sits in the order (-1 if it is not part of the result).
+ */
+
+import { INDEXED_SORT_COLUMNS } from './customerColumns';
+
+/**
+ * Data source over a query result held as sorted ids
+ * Rows are fetched from the query worker on demand
+ * @param {Object} queryEngine - Engine created by createQueryEngine()
+ * @param {Int32Array} ids - Matching customer ids in display order
+ * @returns {Object} Data source
+ */
+export const createResultDataSource = (queryEngine, ids) => ({
+  length: ids.length,
+  loadRange: (start, end) => queryEngine.getRows(ids.slice(start, end)),
+  indexOf: async (customer) => ids.indexOf(customer.id)
+});
+
+/**
+ * Check whether a sort can be served straight from an index cursor
+ * (a single level on a column marked sortableFromIndex; multi-level sorts
+ * and text columns need the worker)
+ * @param {Array<{column: string, direction: string}>} sortConfig - Sort stack
+ * @returns {boolean}
+ */
+export const isIndexedSort = (sortConfig) =>
+  sortConfig.length === 1 && INDEXED_SORT_COLUMNS.includes(sortConfig[0].column);
+
+/**
+ * Data source that reads sorted windows straight from an IndexedDB index
+ *
+ * Nothing is loaded up front: every loadRange opens a short read-only
+ * transaction, positions a cursor on the matching index and reads one window.
+ * To avoid advancing from the very first record on every deep scroll, the end
+ * of each window read is remembered as a checkpoint ({ key, primaryKey }) and
+ * later reads resume from the nearest checkpoint before them.
+ *
+ * Checkpoints are only valid for the store as it was: an edit can move
+ * records between windows. The source is therefore bound to one store
+ * revision (kept as its `revision`), and a new revision needs a new source.
+ *
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {Object} options - { column, direction, length, revision }
+ * @returns {Object} Data source (with the revision it reads)
+ */
+export const createIndexedDataSource = (db, { column, direction, length, revision = 0 }) => {
+  const cursorDirection = direction === 'asc' ? 'next' : 'prev';
+  const usePrimaryKey = column === 'id';
+
+  // offset -> { key, primaryKey } of the record just before that offset
+  const checkpoints = new Map([[0, null]]);
+
+  const findCheckpoint = (start) => {
+    let best = 0;
+    for (const offset of checkpoints.keys()) {
+      if (offset <= start && offset > best) best = offset;
+    }
+    return { offset: best, position: checkpoints.get(best) };
+  };
+
+  const loadRange = (start, end) => new Promise((resolve, reject) => {
+    const { offset, position } = findCheckpoint(start);
+    const transaction = db.transaction(['customers'], 'readonly');
+    const objectStore = transaction.objectStore('customers');
+    const source = usePrimaryKey ? objectStore : objectStore.index(column);
+
+    // Resume just after the checkpoint record (or from the very first record)
+    let range = null;
+    if (position) {
+      if (usePrimaryKey) {
+        range = cursorDirection === 'next'
+          ? IDBKeyRange.lowerBound(position.key, true)
+          : IDBKeyRange.upperBound(position.key, true);
+      } else {
+        range = cursorDirection === 'next'
+          ? IDBKeyRange.lowerBound(position.key)
+          : IDBKeyRange.upperBound(position.key);
+      }
+    }
+
+    // SEEK: land on the checkpoint record (index keys repeat, so the key alone
+    //       is not enough), SKIP: advance to `start`, READ: collect the window
+    let phase = position && !usePrimaryKey ? 'seek' : 'skip';
+    const toSkip = start - offset;
+    const rows = [];
+
+    const cursorRequest = source.openCursor(range, cursorDirection);
+
+    cursorRequest.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        resolve(rows);
+        return;
+      }
+
+      if (phase === 'seek' || phase === 'landed') {
+        const onCheckpoint = indexedDB.cmp(cursor.key, position.key) === 0 &&
+          indexedDB.cmp(cursor.primaryKey, position.primaryKey) === 0;
+
+        if (onCheckpoint) {
+          // Step past the checkpoint record and skip in a single advance
+          phase = 'read';
+          cursor.advance(toSkip + 1);
+          return;
+        }
+        if (phase === 'seek') {
+          phase = 'landed';
+          cursor.continuePrimaryKey(position.key, position.primaryKey);
+          return;
+        }
+        // The checkpoint record was deleted: we already sit on the one after it
+        phase = 'skip';
+      }
+
+      if (phase === 'skip') {
+        phase = 'read';
+        if (toSkip > 0) {
+          cursor.advance(toSkip);
+          return;
+        }
+      }
+
+      rows.push(cursor.value);
+      if (rows.length < end - start) {
+        cursor.continue();
+        return;
+      }
+
+      checkpoints.set(end, { key: cursor.key, primaryKey: cursor.primaryKey });
+      resolve(rows);
+    };
+
+    cursorRequest.onerror = (event) => {
+      console.error('❌ Index cursor error:', event.target.error);
+      reject(new Error(`Index cursor error: ${event.target.error?.message || 'Unknown error'}`));
+    };
+  });
+
+  /**
+   * Position of a record in the index order: the records with a smaller key
+   * are counted, then those sharing its key but coming before it (index
+   * entries with the same key are ordered by primary key)
+   */
+  const indexOf = (customer) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(['customers'], 'readonly');
+    const objectStore = transaction.objectStore('customers');
+    const key = usePrimaryKey ? customer.id : customer[column];
+    let position = 0;
+
+    const handleError = (event) => {
+      console.error('❌ Index count error:', event.target.error);
+      reject(new Error(`Index count error: ${event.target.error?.message || 'Unknown error'}`));
+    };
+
+    const before = cursorDirection === 'next'
+      ? IDBKeyRange.upperBound(key, true)
+      : IDBKeyRange.lowerBound(key, true);
+    const countRequest = (usePrimaryKey ? objectStore : objectStore.index(column)).count(before);
+    countRequest.onerror = handleError;
+
+    if (usePrimaryKey) {
+      countRequest.onsuccess = () => resolve(countRequest.result);
+      return;
+    }
+
+    countRequest.onsuccess = () => {
+      position = countRequest.result;
+      const tiesRequest = objectStore.index(column).openKeyCursor(IDBKeyRange.only(key), cursorDirection);
+
+      tiesRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          // Not in the index (deleted, or its key changed since it was read)
+          resolve(-1);
+          return;
+        }
+        if (cursor.primaryKey === customer.id) {
+          resolve(position);
+          return;
+        }
+        position++;
+        cursor.continue();
+      };
+      tiesRequest.onerror = handleError;
+    };
+  });
+
+  return { length, revision, loadRange, indexOf };
+};
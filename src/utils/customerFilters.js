@@ -0,0 +1,91 @@
+/**
+ * Filter definitions for the customer list
+ * Date ranges are measured back from "now" against each customer's
+ * lastMessageAt timestamp
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Band of a score, as shown by the score-0..4 badge colours
+ * @param {number} score - 0 to 100
+ * @returns {number} 0 to 4
+ */
+export const getScoreBand = (score) => Math.floor(score / 25);
+
+// One option per badge band, so "25-49" is exactly the score-1 badges
+export const SCORE_RANGES = [
+  { id: '0-24', label: '0-24', band: 0, min: 0, max: 24 },
+  { id: '25-49', label: '25-49', band: 1, min: 25, max: 49 },
+  { id: '50-74', label: '50-74', band: 2, min: 50, max: 74 },
+  { id: '75-99', label: '75-99', band: 3, min: 75, max: 99 },
+  { id: '100', label: '100', band: 4, min: 100, max: 100 }
+];
+
+// Ids of the score options before they followed the badge bands (0-25,
+// 26-50, ...), still found in saved links and views -> the bands they
+// mostly covered
+export const LEGACY_SCORE_RANGE_IDS = {
+  '0-25': ['0-24'],
+  '26-50': ['25-49'],
+  '51-75': ['50-74'],
+  '76-100': ['75-99', '100']
+};
+
+export const DATE_RANGES = [
+  { id: '7d', label: 'Last 7 days', days: 7 },
+  { id: '30d', label: 'Last 30 days', days: 30 },
+  { id: '3m', label: 'Last 3 months', days: 90 },
+  { id: '1y', label: 'Last year', days: 365 }
+];
+
+export const EMPTY_FILTERS = { scoreRanges: [], dateRanges: [] };
+
+/**
+ * Count how many filter options are currently checked
+ * @param {Object} filters - { scoreRanges: string[], dateRanges: string[] }
+ * @returns {number}
+ */
+export const countActiveFilters = (filters) => {
+  return filters.scoreRanges.length + filters.dateRanges.length;
+};
+
+/**
+ * Build a predicate for the given filters
+ *
+ * Options inside one section are OR-ed (e.g. "0-24" or "75-99"),
+ * the sections themselves are AND-ed. Cut-off timestamps are computed once
+ * here so the returned function stays cheap when run over 1M records.
+ *
+ * @param {Object} filters - { scoreRanges: string[], dateRanges: string[] }
+ * @param {number} now - Reference timestamp for the date ranges
+ * @returns {Function|null} (customer) => boolean, or null when no filter is active
+ */
+export const createFilterPredicate = (filters, now = Date.now()) => {
+  const scoreRanges = SCORE_RANGES.filter(range => filters.scoreRanges.includes(range.id));
+  const dateRanges = DATE_RANGES.filter(range => filters.dateRanges.includes(range.id));
+
+  if (scoreRanges.length === 0 && dateRanges.length === 0) return null;
+
+  // Ranges all end at "now", so several checked ranges reduce to the widest one
+  const oldestAllowed = dateRanges.length > 0
+    ? now - Math.max(...dateRanges.map(range => range.days)) * DAY_MS
+    : null;
+
+  return (customer) => {
+    if (scoreRanges.length > 0) {
+      const score = customer.score;
+      if (!scoreRanges.some(range => score >= range.min && score <= range.max)) {
+        return false;
+      }
+    }
+
+    if (oldestAllowed !== null) {
+      if (new Date(customer.lastMessageAt).getTime() < oldestAllowed) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+};
@@ -0,0 +1,238 @@
+/**
+ * Reading customer files (CSV or JSON) for import
+ *
+ * A file is parsed into column names and rows of raw values. The user maps
+ * columns onto customer fields (a mapping is guessed from the headers), then
+ * every row is validated with the same rules as the customer form. Rows that
+ * fail are skipped and reported with their row number, the rest are turned
+ * into records by the import itself, which also decides their ids.
+ */
+
+import { CUSTOMER_FIELDS, validateCustomerField } from './customerRecords';
+
+// Fields a column can be mapped to; lastMessageAt is optional
+export const IMPORT_FIELDS = [...CUSTOMER_FIELDS, 'lastMessageAt'];
+
+export const IMPORT_FIELD_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  score: 'Score',
+  addedBy: 'Added By',
+  lastMessageAt: 'Last Message'
+};
+
+// Normalised header names recognised for each field (our own CSV export included)
+const HEADER_ALIASES = {
+  name: ['name', 'fullname', 'customer', 'customername', 'contact', 'contactname'],
+  email: ['email', 'emailaddress', 'mail', 'email1'],
+  phone: ['phone', 'phonenumber', 'telephone', 'tel', 'mobile', 'cell'],
+  score: ['score', 'rating', 'leadscore'],
+  addedBy: ['addedby', 'owner', 'createdby', 'agent', 'accountowner'],
+  lastMessageAt: ['lastmessageat', 'lastmessage', 'lastcontact', 'lastcontacted', 'lastcontactedat']
+};
+
+// Rows validated between two yields to the browser
+const VALIDATE_CHUNK_SIZE = 10000;
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Pick the delimiter used in a CSV header line (comma, semicolon or tab)
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of [',', ';', '\t']) {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+/**
+ * Parse CSV text into rows of strings (RFC 4180: quoted fields may contain
+ * delimiters, doubled quotes and line breaks)
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no customer
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+};
+
+/**
+ * Read an import file
+ * CSV files need a header line. JSON files hold an array of customer
+ * objects (or { customers: [...] }); nested values such as avatar are ignored.
+ * @param {File} file
+ * @returns {Promise<{columns: Array<string>, rows: Array<Array>}>}
+ */
+export const parseImportFile = async (file) => {
+  const text = (await file.text()).replace(/^\uFEFF/, '');
+  const isJson = /\.json$/i.test(file.name) || file.type === 'application/json' || /^\s*[[{]/.test(text);
+
+  if (!isJson) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new Error('The file is empty');
+    return { columns: header.map(column => column.trim()), rows };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+  const records = Array.isArray(data) ? data : data?.customers;
+  if (!Array.isArray(records)) throw new Error('Expected a JSON array of customers');
+
+  // Every flat property seen on any record becomes a column
+  const columnSet = new Set();
+  for (const record of records) {
+    if (!record || typeof record !== 'object') continue;
+    for (const [key, value] of Object.entries(record)) {
+      if (value === null || typeof value !== 'object') columnSet.add(key);
+    }
+  }
+  const columns = [...columnSet];
+  const rows = records.map(record => columns.map(column => record?.[column] ?? ''));
+  return { columns, rows };
+};
+
+/**
+ * Guess which column holds each field from the header names
+ * @param {Array<string>} columns - Column names from the file
+ * @returns {Object} field -> column index, -1 when no column matches
+ */
+export const guessColumnMapping = (columns) => {
+  const normalized = columns.map(normalizeHeader);
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    mapping[field] = normalized.findIndex(header => HEADER_ALIASES[field].includes(header));
+  }
+  return mapping;
+};
+
+/**
+ * Fields that still need a column before the import can start
+ * @param {Object} mapping - field -> column index
+ * @returns {Array<string>}
+ */
+export const getUnmappedFields = (mapping) => CUSTOMER_FIELDS.filter(field => mapping[field] < 0);
+
+/**
+ * Parse a last-message value: an ISO / RFC date or epoch milliseconds
+ * @returns {string|null} ISO timestamp, or null if it is not a date
+ */
+const parseImportDate = (value) => {
+  const text = String(value).trim();
+  const date = new Date(/^\d{10,}$/.test(text) ? Number(text) : text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Validate one row against the mapping
+ * @param {Array} row - Raw cell values
+ * @param {Object} mapping - field -> column index
+ * @returns {{values: Object, errors: Array<{field: string, message: string}>}}
+ *   values as the customer form holds them, plus lastMessageAt (ISO) when mapped
+ */
+export const validateImportRow = (row, mapping) => {
+  const values = {};
+  const errors = [];
+
+  for (const field of CUSTOMER_FIELDS) {
+    const value = String(row[mapping[field]] ?? '').trim();
+    const message = validateCustomerField(field, value);
+    if (message) errors.push({ field, message });
+    values[field] = value;
+  }
+
+  if (mapping.lastMessageAt >= 0) {
+    const raw = String(row[mapping.lastMessageAt] ?? '').trim();
+    if (raw) {
+      values.lastMessageAt = parseImportDate(raw);
+      if (!values.lastMessageAt) errors.push({ field: 'lastMessageAt', message: 'Enter a valid date' });
+    }
+  }
+
+  return { values, errors };
+};
+
+/**
+ * Validate every row, yielding to the browser between chunks
+ * @param {Array<Array>} rows - Rows from parseImportFile()
+ * @param {Object} mapping - field -> column index
+ * @returns {Promise<{valid: Array<Object>, errors: Array<{row: number, field: string, message: string}>}>}
+ *   row numbers count data rows from 1 (the CSV header is not counted)
+ */
+export const validateImportRows = async (rows, mapping) => {
+  const valid = [];
+  const errors = [];
+
+  for (let start = 0; start < rows.length; start += VALIDATE_CHUNK_SIZE) {
+    const end = Math.min(start + VALIDATE_CHUNK_SIZE, rows.length);
+    for (let i = start; i < end; i++) {
+      const result = validateImportRow(rows[i], mapping);
+      if (result.errors.length > 0) {
+        result.errors.forEach(error => errors.push({ row: i + 1, ...error }));
+      } else {
+        valid.push(result.values);
+      }
+    }
+
+    // Yield to browser to keep UI responsive
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return { valid, errors };
+};
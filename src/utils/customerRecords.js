@@ -0,0 +1,114 @@
+/**
+ * Validation and record building for the customer form
+ */
+
+import { generateAvatar } from './dataGenerator';
+
+export const CUSTOMER_FIELDS = ['name', 'email', 'phone', 'score', 'addedBy'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Digits with the usual separators: "+1 (555) 123-4567", "555.123.4567", ...
+const PHONE_PATTERN = /^\+?[0-9][0-9\s().-]{5,23}$/;
+
+/**
+ * Email address as stored: trimmed and lowercased, so the same address typed
+ * (or imported) in another case finds the stored customer
+ * @param {string} email
+ * @returns {string}
+ */
+export const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Form values for a customer (empty strings for a new one)
+ * @param {Object|null} customer - Existing customer, or null
+ * @returns {Object} { name, email, phone, score, addedBy } as strings
+ */
+export const toFormValues = (customer) => ({
+  name: customer?.name ?? '',
+  email: customer?.email ?? '',
+  phone: customer?.phone ?? '',
+  score: customer ? String(customer.score) : '',
+  addedBy: customer?.addedBy ?? ''
+});
+
+/**
+ * Validate a single form field
+ * @param {string} field - One of CUSTOMER_FIELDS
+ * @param {string} value - Raw input value
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateCustomerField = (field, value) => {
+  const text = String(value ?? '').trim();
+
+  switch (field) {
+    case 'name':
+      if (!text) return 'Name is required';
+      if (text.length > 100) return 'Name must be at most 100 characters';
+      return null;
+    case 'email':
+      if (!text) return 'Email is required';
+      if (!EMAIL_PATTERN.test(text)) return 'Enter a valid email address';
+      return null;
+    case 'phone': {
+      if (!text) return 'Phone is required';
+      const digits = text.replace(/\D/g, '').length;
+      if (!PHONE_PATTERN.test(text) || digits < 7 || digits > 15) return 'Enter a valid phone number';
+      return null;
+    }
+    case 'score':
+      if (!text) return 'Score is required';
+      if (!/^\d+$/.test(text) || Number(text) < 1 || Number(text) > 100) {
+        return 'Score must be a whole number from 1 to 100';
+      }
+      return null;
+    case 'addedBy':
+      if (!text) return 'Added by is required';
+      if (text.length > 100) return 'Added by must be at most 100 characters';
+      return null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate all form values
+ * @param {Object} values - Form values
+ * @returns {Object} field -> error message, empty when everything is valid
+ */
+export const validateCustomer = (values) => {
+  const errors = {};
+  for (const field of CUSTOMER_FIELDS) {
+    const error = validateCustomerField(field, values[field]);
+    if (error) errors[field] = error;
+  }
+  return errors;
+};
+
+/**
+ * Build the customer record to store from validated form values
+ * A new customer gets no id here: the storage layer assigns the next free one.
+ * @param {Object} values - Validated form values
+ * @param {Object|null} existing - Customer being edited, or null for a new one
+ * @returns {Object} Customer record
+ */
+export const buildCustomerRecord = (values, existing) => {
+  const name = values.name.trim().replace(/\s+/g, ' ');
+  const [firstName, ...rest] = name.split(' ');
+  const lastName = rest.length > 0 ? rest[rest.length - 1] : firstName;
+
+  const avatar = generateAvatar(firstName.toUpperCase(), lastName.toUpperCase());
+
+  return {
+    ...existing,
+    name,
+    email: normalizeEmail(values.email),
+    phone: values.phone.trim(),
+    score: Number(values.score),
+    addedBy: values.addedBy.trim().replace(/\s+/g, ' '),
+    // A new customer's "last message" is the moment it was added
+    lastMessageAt: existing?.lastMessageAt ?? new Date().toISOString(),
+    // Keep the colour people are used to, only refresh the initials
+    avatar: existing ? { ...existing.avatar, initials: avatar.initials } : avatar
+  };
+};
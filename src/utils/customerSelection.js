@@ -0,0 +1,127 @@
+/**
+ * Row selection over the customer list
+ *
+ * A selection is stored by customer id, never by row position, so it stays
+ * the same through scrolling, re-sorting and a changed search. "Select all
+ * N matching" must cover up to 1M customers without a 1M-entry Set, so a
+ * selection is:
+ *
+ *   base      - null, or every customer of a query result at the time it was
+ *               chosen: { ids: sorted Int32Array, source } or, for the
+ *               unfiltered list paged from IndexedDB, { all: true, count }
+ *   excluded  - ids of the base that were unchecked afterwards
+ *   included  - ids checked individually, outside the base
+ *
+ * Selections are immutable: every helper returns a new one.
+ */
+
+export const EMPTY_SELECTION = { base: null, excluded: new Set(), included: new Set() };
+
+/**
+ * Binary search in a sorted Int32Array
+ */
+const containsId = (ids, id) => {
+  let low = 0;
+  let high = ids.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (ids[mid] < id) low = mid + 1;
+    else high = mid;
+  }
+  return low < ids.length && ids[low] === id;
+};
+
+const inBase = (base, id) => base !== null && (base.all || containsId(base.ids, id));
+
+/**
+ * Check whether a customer is selected
+ * @param {Object} selection
+ * @param {number} id - Customer id
+ * @returns {boolean}
+ */
+export const isSelected = (selection, id) => {
+  if (selection.included.has(id)) return true;
+  return inBase(selection.base, id) && !selection.excluded.has(id);
+};
+
+/**
+ * Number of selected customers
+ * @param {Object} selection
+ * @returns {number}
+ */
+export const getSelectionCount = (selection) => {
+  const { base, excluded, included } = selection;
+  const baseCount = base === null ? 0 : (base.all ? base.count : base.ids.length);
+  return baseCount - excluded.size + included.size;
+};
+
+/**
+ * Check or uncheck a set of customers
+ * @param {Object} selection
+ * @param {Iterable<number>} ids - Customer ids
+ * @param {boolean} selected - Whether they should end up selected
+ * @returns {Object} New selection
+ */
+export const setSelected = (selection, ids, selected) => {
+  const excluded = new Set(selection.excluded);
+  const included = new Set(selection.included);
+
+  for (const id of ids) {
+    if (inBase(selection.base, id)) {
+      if (selected) excluded.delete(id);
+      else excluded.add(id);
+    } else if (selected) {
+      included.add(id);
+    } else {
+      included.delete(id);
+    }
+  }
+  return { base: selection.base, excluded, included };
+};
+
+/**
+ * Select every customer of the current result
+ * @param {Int32Array|null} resultIds - Ids of the query result, or null when the
+ *   unfiltered list is shown (then every stored customer is selected)
+ * @param {number} count - Number of customers in the result
+ * @returns {Object} New selection
+ */
+export const selectAllMatching = (resultIds, count) => {
+  const base = resultIds
+    ? { ids: Int32Array.from(resultIds).sort(), source: resultIds }
+    : { all: true, count };
+  return { base, excluded: new Set(), included: new Set() };
+};
+
+/**
+ * Check whether exactly the current result is selected
+ * @param {Object} selection
+ * @param {Int32Array|null} resultIds - Ids of the current query result (null: unfiltered list)
+ * @returns {boolean}
+ */
+export const isAllMatchingSelected = (selection, resultIds) => {
+  const { base, excluded, included } = selection;
+  if (base === null || excluded.size > 0 || included.size > 0) return false;
+  return resultIds ? base.source === resultIds : base.all === true;
+};
+
+/**
+ * List the selected ids, for bulk actions
+ * @param {Object} selection
+ * @param {Function} loadAllIds - Async () => every stored id, used for an { all } base
+ * @returns {Promise<Array<number>>} Selected ids in ascending order
+ */
+export const resolveSelectedIds = async (selection, loadAllIds) => {
+  const { base, excluded, included } = selection;
+  const ids = [];
+
+  if (base !== null) {
+    const baseIds = base.all ? await loadAllIds() : base.ids;
+    for (let i = 0; i < baseIds.length; i++) {
+      if (!excluded.has(baseIds[i])) ids.push(baseIds[i]);
+    }
+  }
+  included.forEach(id => ids.push(id));
+
+  return ids.sort((a, b) => a - b);
+};
@@ -0,0 +1,111 @@
+/**
+ * Sort helpers shared by the query worker
+ *
+ * PERFORMANCE OPTIMIZATION: Schwartzian Transform
+ * ================================================
+ *
+ * OLD METHOD (slow):
+ * - Every comparison converts values: Number(), new Date(), toLowerCase()
+ * - For 1M records, sort() makes ~20M comparisons
+ * - That's 20M+ conversions! (2000-3000ms)
+ *
+ * NEW METHOD (fast):
+ * - Convert values ONCE before sorting (1M conversions)
+ * - Sort using pre-computed values (no conversions during sort)
+ * - Extract original objects after sorting
+ *
+ * STEPS:
+ * 1. DECORATE: Attach comparison value to each object (getSortValue)
+ * 2. SORT: Compare using pre-computed values (createDecoratedComparator)
+ * 3. UNDECORATE: Extract original objects
+ */
+
+import { CUSTOMER_SORT_TYPES } from './customerColumns';
+
+// Columns the table can sort by
+export const SORTABLE_COLUMNS = Object.keys(CUSTOMER_SORT_TYPES);
+
+export const DEFAULT_SORT_CONFIG = [{ column: 'id', direction: 'asc' }];
+
+/**
+ * Pre-compute the comparison value of one customer for a column
+ * @param {Object} customer - Customer record
+ * @param {string} column - Column key being sorted
+ * @returns {number|string}
+ */
+export const getSortValue = (customer, column) => {
+  const sortType = CUSTOMER_SORT_TYPES[column];
+  if (sortType === 'number') {
+    // Numeric columns: convert to number once
+    return Number(customer[column]);
+  }
+  if (sortType === 'date') {
+    // Date columns: convert to timestamp once
+    return new Date(customer[column]).getTime();
+  }
+  // String columns: convert to lowercase once
+  return String(customer[column]).toLowerCase();
+};
+
+/**
+ * Pre-compute the comparison values of one customer for every level of a sort stack
+ * @param {Object} customer - Customer record
+ * @param {Array<{column: string, direction: string}>} sortConfig - Sort stack, highest priority first
+ * @returns {Array<number|string>}
+ */
+export const getSortValues = (customer, sortConfig) => sortConfig.map(({ column }) => getSortValue(customer, column));
+
+/**
+ * Build a comparator over decorated items ({ customer, compareValues })
+ * Later levels of the stack only break ties left by earlier ones.
+ * @param {Array<{column: string, direction: string}>} sortConfig - Sort stack, highest priority first
+ * @returns {Function}
+ */
+export const createDecoratedComparator = (sortConfig) => {
+  const orders = sortConfig.map(({ direction }) => (direction === 'asc' ? 1 : -1));
+  const depth = orders.length;
+
+  return (a, b) => {
+    for (let level = 0; level < depth; level++) {
+      const aVal = a.compareValues[level];
+      const bVal = b.compareValues[level];
+
+      // Simple comparison using pre-computed values
+      if (aVal < bVal) return -orders[level];
+      if (aVal > bVal) return orders[level];
+    }
+    return 0;
+  };
+};
+
+/**
+ * Work out the sort stack after a click on a column header
+ *
+ * - Plain click: sort by that column only; clicking the current primary
+ *   column again flips its direction
+ * - Additive (shift) click: append the column as the lowest priority level;
+ *   if it is already in the stack cycle it asc -> desc -> removed
+ *
+ * @param {Array<{column: string, direction: string}>} sortConfig - Current sort stack
+ * @param {string} column - Clicked column
+ * @param {boolean} additive - Whether the click extends the stack
+ * @returns {Array<{column: string, direction: string}>} New sort stack
+ */
+export const toggleSortColumn = (sortConfig, column, additive) => {
+  const level = sortConfig.findIndex(sort => sort.column === column);
+
+  if (!additive) {
+    const direction = level === 0 && sortConfig[0].direction === 'asc' ? 'desc' : 'asc';
+    return [{ column, direction }];
+  }
+
+  if (level === -1) return [...sortConfig, { column, direction: 'asc' }];
+
+  if (sortConfig[level].direction === 'asc') {
+    return sortConfig.map((sort, i) => (i === level ? { column, direction: 'desc' } : sort));
+  }
+
+  // Never leave the stack empty
+  if (sortConfig.length === 1) return [{ column, direction: 'asc' }];
+  return sortConfig.filter((_, i) => i !== level);
+};
@@ -0,0 +1,144 @@
+/**
+ * Aggregates shown on the dashboard, over any set of customers
+ *
+ * The query worker feeds every customer of the current result into an
+ * accumulator and posts back the (small) summary, so the dashboard never
+ * needs the records themselves. Every bucket also knows the search term
+ * that narrows the list down to it, which is how clicking a chart filters
+ * the table.
+ */
+
+import { SCORE_RANGES, getScoreBand } from './customerFilters';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Email domains / owners listed by name; the rest are summed up
+const TOP_DOMAINS = 8;
+const TOP_OWNERS = 10;
+
+// Weeks charted at most, the newest ones (imports can bring very old dates)
+const MAX_WEEKS = 156;
+
+// The filter's score bands (those of the score-0..4 badges), with their search terms
+const SCORE_BANDS = SCORE_RANGES.map(({ band, label, min, max }) => ({
+  band,
+  label,
+  term: min === max ? `score:${min}` : `score:${min}..${max}`
+}));
+
+/**
+ * Monday (UTC) of the week a timestamp falls in, in days since the epoch
+ */
+const getMonday = (time) => {
+  const day = Math.floor(time / DAY_MS);
+  // Day 0 (1970-01-01) was a Thursday; the modulo keeps days before it positive
+  return day - ((((day + 3) % 7) + 7) % 7);
+};
+
+const formatDay = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Search term for the customers whose last message is in a week
+ * @param {string} weekStart - Monday as YYYY-MM-DD
+ * @returns {string}
+ */
+const getWeekTerm = (weekStart) => {
+  return `last:${weekStart}..${formatDay(Date.parse(weekStart) / DAY_MS + 6)}`;
+};
+
+/**
+ * Search term for the customers with an email at a domain
+ */
+const getDomainTerm = (domain) => `email:@${domain}`;
+
+/**
+ * Search term for the customers added by someone (quoted: names contain spaces)
+ */
+const getOwnerTerm = (owner) => `addedBy:"${owner.replace(/"/g, '')}"`;
+
+/**
+ * Most frequent entries of a count map, plus what the others add up to
+ */
+const topEntries = (counts, limit) => {
+  const sorted = [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const rest = sorted.slice(limit).reduce((sum, [, count]) => sum + count, 0);
+  return { top: sorted.slice(0, limit), rest };
+};
+
+/**
+ * Create an accumulator for the dashboard's statistics
+ * @returns {Object} { add(customer), finish() => stats }
+ *   stats: {
+ *     total,
+ *     scoreBands: [{ band, label, term, count }],
+ *     weeks: [{ start, term, count }] every week from the oldest to the newest (at most
+ *       MAX_WEEKS), oldest first, olderWeeks: count of the messages before those,
+ *     domains: [{ domain, term, count }] most common first, otherDomains: count of the rest,
+ *     owners: [{ owner, term, count }] most common first, ownerCount: distinct owners
+ *   }
+ */
+export const createStatsAccumulator = () => {
+  let total = 0;
+  const bandCounts = new Array(SCORE_BANDS.length).fill(0);
+  // Days since the epoch of the week's Monday -> count
+  const weekCounts = new Map();
+  const domainCounts = new Map();
+  const ownerCounts = new Map();
+
+  return {
+    add: (customer) => {
+      total++;
+
+      const band = Math.min(SCORE_BANDS.length - 1, Math.max(0, getScoreBand(customer.score)));
+      bandCounts[band]++;
+
+      const time = new Date(customer.lastMessageAt).getTime();
+      if (Number.isFinite(time)) {
+        const monday = getMonday(time);
+        weekCounts.set(monday, (weekCounts.get(monday) ?? 0) + 1);
+      }
+
+      const at = customer.email.lastIndexOf('@');
+      const domain = at === -1 ? '' : customer.email.slice(at + 1).toLowerCase();
+      if (domain) domainCounts.set(domain, (domainCounts.get(domain) ?? 0) + 1);
+
+      if (customer.addedBy) ownerCounts.set(customer.addedBy, (ownerCounts.get(customer.addedBy) ?? 0) + 1);
+    },
+
+    finish: () => {
+      // Fill the weeks without any message so the chart has an even time axis
+      const weeks = [];
+      let olderWeeks = 0;
+      if (weekCounts.size > 0) {
+        let first = Infinity;
+        let last = -Infinity;
+        for (const monday of weekCounts.keys()) {
+          first = Math.min(first, monday);
+          last = Math.max(last, monday);
+        }
+        const cutoff = Math.max(first, last - (MAX_WEEKS - 1) * 7);
+        for (const [monday, count] of weekCounts) {
+          if (monday < cutoff) olderWeeks += count;
+        }
+        for (let monday = cutoff; monday <= last; monday += 7) {
+          const start = formatDay(monday);
+          weeks.push({ start, term: getWeekTerm(start), count: weekCounts.get(monday) ?? 0 });
+        }
+      }
+
+      const domains = topEntries(domainCounts, TOP_DOMAINS);
+      const owners = topEntries(ownerCounts, TOP_OWNERS);
+
+      return {
+        total,
+        scoreBands: SCORE_BANDS.map((band, i) => ({ ...band, count: bandCounts[i] })),
+        weeks,
+        olderWeeks,
+        domains: domains.top.map(([domain, count]) => ({ domain, term: getDomainTerm(domain), count })),
+        otherDomains: domains.rest,
+        owners: owners.top.map(([owner, count]) => ({ owner, term: getOwnerTerm(owner), count })),
+        ownerCount: ownerCounts.size
+      };
+    }
+  };
+};
@@ -1,57 +1,113 @@
 /**
- * Utility to generate 1 million customer records
+ * Utility to generate customer records (1 million by default)
  * Data is generated with realistic patterns for testing
  */
 
-const firstNames = [
-  'James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda',
-  'William', 'Barbara', 'David', 'Elizabeth', 'Richard', 'Susan', 'Joseph', 'Jessica',
-  'Thomas', 'Sarah', 'Charles', 'Karen', 'Christopher', 'Nancy', 'Daniel', 'Lisa',
-  'Matthew', 'Betty', 'Anthony', 'Margaret', 'Mark', 'Sandra', 'Donald', 'Ashley',
-  'Steven', 'Kimberly', 'Paul', 'Emily', 'Andrew', 'Donna', 'Joshua', 'Michelle'
-];
+import { updatePersistedSearchIndex } from './searchIndex';
+import { hashSeed, createRandomFor } from './random';
+import { GENERATOR_PROFILES, DEFAULT_PROFILE } from './generatorProfiles';
+import { readDatasetState } from './datasetSettings';
+import { DB_NAME, DB_VERSION, runMigrations } from './dbMigrations';
 
-const lastNames = [
-  'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis',
-  'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas',
-  'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee', 'Perez', 'Thompson', 'White',
-  'Harris', 'Sanchez', 'Clark', 'Ramirez', 'Lewis', 'Robinson', 'Walker', 'Young'
-];
+const avatarColors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2'];
 
-const domains = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'company.com'];
+// "Now" for seeded data, so the same seed gives the same dates whenever it is run
+export const SEEDED_REFERENCE_DATE = Date.UTC(2025, 0, 1);
+
+const pick = (list, random) => list[Math.floor(random() * list.length)];
+
+// Lines of the generated message threads: from the customer ('in') and to them ('out')
+const inboundMessages = [
+  'Hi, I have a question about my account.',
+  'Can you send me the invoice for last month?',
+  'I can\'t log in since this morning.',
+  'When will my order ship?',
+  'Is there a discount if we pay yearly?',
+  'Could someone call me back this afternoon?',
+  'Thanks, that worked!',
+  'Great, talk soon.'
+];
+const outboundMessages = [
+  'Thanks for reaching out! Let me look into it.',
+  'I\'ve sent the invoice to your email.',
+  'I\'ve reset your password, please try again.',
+  'Your order ships tomorrow, I\'ll send the tracking link.',
+  'Yearly plans are 20% off, want me to switch you over?',
+  'Sure, what time works for you?',
+  'Just following up on our last conversation.',
+  'Happy to help, anything else?'
+];
 
-const avatarColors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2'];
+// Longest gap between two generated messages of a thread
+const MAX_MESSAGE_GAP = 3 * 24 * 60 * 60 * 1000;
 
-const generatePhone = () => {
-  const areaCode = Math.floor(Math.random() * 900) + 100;
-  const prefix = Math.floor(Math.random() * 900) + 100;
-  const lineNumber = Math.floor(Math.random() * 9000) + 1000;
+const generatePhone = (random) => {
+  const areaCode = Math.floor(random() * 900) + 100;
+  const prefix = Math.floor(random() * 900) + 100;
+  const lineNumber = Math.floor(random() * 9000) + 1000;
   return `+1 (${areaCode}) ${prefix}-${lineNumber}`;
 };
 
-const generateDate = () => {
-  const now = Date.now();
+const generateDate = (random, referenceDate) => {
+  const now = referenceDate ?? Date.now();
   const twoYearsAgo = now - (2 * 365 * 24 * 60 * 60 * 1000);
-  const randomTime = twoYearsAgo + Math.random() * (now - twoYearsAgo);
+  const randomTime = twoYearsAgo + random() * (now - twoYearsAgo);
   return new Date(randomTime).toISOString();
 };
 
-const generateAvatar = (firstName, lastName) => {
+export const generateAvatar = (firstName, lastName, random = Math.random) => {
   const initials = `${firstName[0]}${lastName[0]}`;
-  const color = avatarColors[Math.floor(Math.random() * avatarColors.length)];
+  const color = pick(avatarColors, random);
   return { initials, color };
 };
 
-export const generateCustomer = (id) => {
-  const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-  const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
+/**
+ * Resolve generation options into what generateCustomer() needs
+ * Without a seed the data is random and relative to the current time;
+ * with one, every customer is derived from (seed, id) alone and dated
+ * relative to a fixed reference date, in both storage modes.
+ * @param {Object} options - Dataset settings (see datasetSettings.js): { seed, referenceDate,
+ *   profile: key of GENERATOR_PROFILES, domains: email domains replacing the profile's }
+ * @returns {Object} { randomFor(id) => random function, threadRandomFor(id) => random
+ *   function for the customer's message thread, now, pools }
+ */
+export const createGenerationSettings = ({ seed, referenceDate, profile, domains } = {}) => {
+  const { firstNames, lastNames, domains: profileDomains } =
+    GENERATOR_PROFILES[profile] ?? GENERATOR_PROFILES[DEFAULT_PROFILE];
+  const pools = { firstNames, lastNames, domains: domains?.length > 0 ? domains : profileDomains };
+
+  if (seed === undefined || seed === null || seed === '') {
+    return {
+      randomFor: () => Math.random,
+      threadRandomFor: () => Math.random,
+      now: referenceDate ?? null,
+      pools
+    };
+  }
+  const seedHash = hashSeed(seed);
+  const threadSeedHash = hashSeed(`${seed}:messages`);
+  return {
+    randomFor: (id) => createRandomFor(seedHash, id),
+    threadRandomFor: (id) => createRandomFor(threadSeedHash, id),
+    now: referenceDate ?? SEEDED_REFERENCE_DATE,
+    pools
+  };
+};
+
+const DEFAULT_GENERATION = createGenerationSettings();
+
+export const generateCustomer = (id, generation = DEFAULT_GENERATION) => {
+  const random = generation.randomFor(id);
+  const { firstNames, lastNames, domains } = generation.pools;
+  const firstName = pick(firstNames, random);
+  const lastName = pick(lastNames, random);
   const name = `${firstName} ${lastName}`;
-  const email = `${firstName.toLowerCase()}.${lastName.toLowerCase()}${id}@${domains[Math.floor(Math.random() * domains.length)]}`;
-  const phone = generatePhone();
-  const score = Math.floor(Math.random() * 100) + 1;
-  const lastMessageAt = generateDate();
-  const addedBy = firstNames[Math.floor(Math.random() * firstNames.length)] + ' ' + lastNames[Math.floor(Math.random() * lastNames.length)];
-  const avatar = generateAvatar(firstName, lastName);
+  const email = `${firstName.toLowerCase()}.${lastName.toLowerCase()}${id}@${pick(domains, random)}`;
+  const phone = generatePhone(random);
+  const score = Math.floor(random() * 100) + 1;
+  const lastMessageAt = generateDate(random, generation.now);
+  const addedBy = pick(firstNames, random) + ' ' + pick(lastNames, random);
+  const avatar = generateAvatar(firstName, lastName, random);
 
   return {
     id,
@@ -65,21 +121,76 @@ export const generateCustomer = (id) => {
   };
 };
 
+/**
+ * Generate the message thread behind a customer's lastMessageAt
+ * The newest message is sent exactly at lastMessageAt, older ones go back
+ * from there, so the customer's timestamp stays derived from its thread.
+ * @param {Object} customer - { id, lastMessageAt }
+ * @param {Object} generation - Result of createGenerationSettings()
+ * @returns {Array<Object>} Messages { customerId, sentAt, direction, text }, oldest first
+ */
+export const generateMessageThread = (customer, generation = DEFAULT_GENERATION) => {
+  const random = generation.threadRandomFor(customer.id);
+  const messages = new Array(2 + Math.floor(random() * 24));
+
+  let time = Date.parse(customer.lastMessageAt);
+  let direction = random() < 0.6 ? 'in' : 'out';
+  for (let i = messages.length - 1; i >= 0; i--) {
+    messages[i] = {
+      customerId: customer.id,
+      sentAt: new Date(time).toISOString(),
+      direction,
+      text: pick(direction === 'in' ? inboundMessages : outboundMessages, random)
+    };
+    time -= Math.floor(60 * 1000 + random() * MAX_MESSAGE_GAP);
+    // Mostly a back and forth, sometimes two in a row
+    if (random() < 0.7) direction = direction === 'in' ? 'out' : 'in';
+  }
+  return messages;
+};
+
+/**
+ * Add a message sent to a customer to its thread
+ * lastMessageAt follows the newest message of the thread.
+ * @param {Object} customer - The customer record
+ * @param {Array<Object>} thread - Its messages, oldest first
+ * @param {string} text - Message text
+ * @returns {Object} { message, customer } the new message and the updated record
+ */
+export const buildSentMessage = (customer, thread, text) => {
+  const message = {
+    customerId: customer.id,
+    sentAt: new Date().toISOString(),
+    direction: 'out',
+    text
+  };
+  const newest = thread.length > 0 ? thread[thread.length - 1].sentAt : message.sentAt;
+  const lastMessageAt = newest > message.sentAt ? newest : message.sentAt;
+  return { message, customer: { ...customer, lastMessageAt } };
+};
+
 /**
  * Check if IndexedDB is available
  */
 export const isIndexedDBAvailable = () => {
   try {
-    return 'indexedDB' in window && window.indexedDB !== null;
-  } catch (e) {
+    // globalThis rather than window, so this also works inside the query worker
+    return 'indexedDB' in globalThis && globalThis.indexedDB !== null;
+  } catch {
     return false;
   }
 };
 
 /**
- * Initialize database with better error handling
+ * Open the database, upgrading it to the latest schema version first if needed
+ * (see dbMigrations.js). A failed upgrade is rolled back and rejects.
+ * @param {Object} callbacks - All optional:
+ *   onUpgradeProgress({ version, description, step, steps, done, total }) while migrating,
+ *   onBlocked() while other tabs keep an older version open,
+ *   onVersionChange() when another tab upgrades the database (this connection is closed)
+ * @returns {Promise<IDBDatabase>}
  */
-export const initializeDatabase = () => {
+export const initializeDatabase = ({ onUpgradeProgress, onBlocked, onVersionChange } = {}) => {
   return new Promise((resolve, reject) => {
     // Check if IndexedDB is available
     if (!isIndexedDBAvailable()) {
@@ -88,44 +199,51 @@ export const initializeDatabase = () => {
     }
 
     try {
-      const request = indexedDB.open('CustomersDB', 1);
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      let migrationError = null;
 
       request.onerror = (event) => {
+        if (migrationError) {
+          console.error('Database upgrade rolled back:', migrationError);
+          reject(new Error(`Database upgrade failed and was rolled back: ${migrationError.message}`));
+          return;
+        }
         console.error('IndexedDB error:', event.target.error);
         reject(new Error(`IndexedDB error: ${event.target.error?.message || 'Unknown error'}`));
       };
       
       request.onsuccess = (event) => {
         const db = event.target.result;
+
+        // Let an upgrade started in another tab go ahead instead of blocking it
+        db.onversionchange = () => {
+          console.warn('Database is being upgraded elsewhere, closing this connection');
+          db.close();
+          if (onVersionChange) onVersionChange();
+        };
+
         console.log('Database opened successfully');
         resolve(db);
       };
 
       request.onupgradeneeded = (event) => {
-        try {
-          const db = event.target.result;
-          
-          // Create object store if it doesn't exist
-          if (!db.objectStoreNames.contains('customers')) {
-            const objectStore = db.createObjectStore('customers', { keyPath: 'id' });
-            
-            // Create indexes for search optimization
-            objectStore.createIndex('name', 'name', { unique: false });
-            objectStore.createIndex('email', 'email', { unique: false });
-            objectStore.createIndex('phone', 'phone', { unique: false });
-            objectStore.createIndex('score', 'score', { unique: false });
-            objectStore.createIndex('lastMessageAt', 'lastMessageAt', { unique: false });
-            
-            console.log('Object store created successfully');
+        const db = event.target.result;
+        const transaction = event.target.transaction;
+
+        runMigrations(db, transaction, event.oldVersion, onUpgradeProgress).catch((error) => {
+          // Aborting the upgrade transaction undoes every step, including earlier ones
+          migrationError = error;
+          try {
+            transaction.abort();
+          } catch (abortError) {
+            console.error('Could not abort the upgrade:', abortError);
           }
-        } catch (error) {
-          console.error('Error in onupgradeneeded:', error);
-          reject(error);
-        }
+        });
       };
 
       request.onblocked = () => {
-        console.warn('Database opening blocked. Please close other tabs with this application.');
+        console.warn('Database upgrade blocked. Please close other tabs with this application.');
+        if (onBlocked) onBlocked();
       };
 
     } catch (error) {
@@ -140,20 +258,26 @@ export const initializeDatabase = () => {
  * @param {IDBDatabase} db - The IndexedDB database instance
  * @param {Function} onProgress - Callback for progress updates (processed, total)
  * @param {Function} onBatchComplete - Callback when each batch is ready to display (customers array)
+ * @param {Object} options - Dataset settings: { count, seed, referenceDate, profile, domains },
+ *   plus startId to resume an interrupted population after the last id it stored
+ *
+ * Each batch is written in its own transaction, so an interrupted population
+ * leaves complete batches only: the highest stored id is its checkpoint.
  */
-export const populateDatabase = async (db, onProgress, onBatchComplete) => {
+export const populateDatabase = async (db, onProgress, onBatchComplete, options = {}) => {
   const BATCH_SIZE = 5000; // Smaller batch size for faster initial display
-  const TOTAL_RECORDS = 1000000;
-  let processed = 0;
+  const TOTAL_RECORDS = options.count ?? 1000000;
+  const START_ID = options.startId ?? 1;
+  const generation = createGenerationSettings(options);
+  let processed = START_ID - 1;
 
   try {
-    for (let batch = 0; batch < TOTAL_RECORDS / BATCH_SIZE; batch++) {
+    for (let batchStart = START_ID; batchStart <= TOTAL_RECORDS; batchStart += BATCH_SIZE) {
       // Pre-generate the batch of customers before starting transaction
+      const batchEnd = Math.min(batchStart + BATCH_SIZE - 1, TOTAL_RECORDS);
       const batchCustomers = [];
-      for (let i = 0; i < BATCH_SIZE; i++) {
-        const id = batch * BATCH_SIZE + i + 1;
-        const customer = generateCustomer(id);
-        batchCustomers.push(customer);
+      for (let id = batchStart; id <= batchEnd; id++) {
+        batchCustomers.push(generateCustomer(id, generation));
       }
 
       // Now write the batch to IndexedDB in a single transaction
@@ -167,7 +291,7 @@ export const populateDatabase = async (db, onProgress, onBatchComplete) => {
         }
 
         transaction.oncomplete = () => {
-          processed += BATCH_SIZE;
+          processed += batchCustomers.length;
           if (onProgress) onProgress(processed, TOTAL_RECORDS);
 
           // Notify that this batch is ready to be displayed
@@ -197,9 +321,79 @@ export const populateDatabase = async (db, onProgress, onBatchComplete) => {
 };
 
 /**
- * Check if database is already populated
+ * Load customer records progressively from IndexedDB in primary-key order
+ * Each batch continues after the last id read, so gaps in the ids are fine
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {Function} onBatchComplete - Callback for each loaded batch (customers array)
+ * @param {number|null} afterId - Only load the records after this id (null for all)
+ * @returns {Promise<number>} Resolves with the number of records loaded
  */
-export const isDatabasePopulated = async (db) => {
+export const loadCustomersProgressively = async (db, onBatchComplete, afterId = null) => {
+  console.log('Starting progressive load from IndexedDB...');
+
+  const BATCH_SIZE = 5000;
+  let lastId = afterId;
+  let totalLoaded = 0;
+  let hasMore = true;
+
+  try {
+    while (hasMore) {
+      // Load one batch per transaction, starting right after the last id
+      const batch = await new Promise((resolve, reject) => {
+        const transaction = db.transaction(['customers'], 'readonly');
+        const objectStore = transaction.objectStore('customers');
+
+        const keyRange = lastId === null ? null : IDBKeyRange.lowerBound(lastId, true);
+        const cursorRequest = objectStore.openCursor(keyRange);
+
+        const batchData = [];
+
+        cursorRequest.onsuccess = (event) => {
+          const cursor = event.target.result;
+
+          if (cursor && batchData.length < BATCH_SIZE) {
+            batchData.push(cursor.value);
+            if (batchData.length < BATCH_SIZE) {
+              cursor.continue();
+              return;
+            }
+          }
+          resolve(batchData);
+        };
+
+        cursorRequest.onerror = (event) => {
+          console.error('❌ Cursor error:', event.target.error);
+          reject(new Error(`Cursor error: ${event.target.error?.message || 'Unknown error'}`));
+        };
+      });
+
+      if (batch.length > 0) {
+        lastId = batch[batch.length - 1].id;
+        totalLoaded += batch.length;
+        if (onBatchComplete) onBatchComplete(batch);
+
+        console.log(`Loaded ${totalLoaded} customers so far...`);
+
+        // Yield to browser to keep UI responsive
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+
+      // Check if we have more data
+      hasMore = batch.length === BATCH_SIZE;
+    }
+
+    console.log(`✅ Loaded all ${totalLoaded} customers progressively`);
+    return totalLoaded;
+  } catch (error) {
+    console.error('❌ Exception in loadCustomersProgressively:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count the customer records stored in the database
+ */
+export const getCustomerCount = async (db) => {
   return new Promise((resolve, reject) => {
     try {
       const transaction = db.transaction(['customers'], 'readonly');
@@ -207,9 +401,7 @@ export const isDatabasePopulated = async (db) => {
       const countRequest = objectStore.count();
 
       countRequest.onsuccess = () => {
-        const count = countRequest.result;
-        console.log(`Database contains ${count} records`);
-        resolve(count >= 1000000);
+        resolve(countRequest.result);
       };
 
       countRequest.onerror = (event) => {
@@ -217,23 +409,69 @@ export const isDatabasePopulated = async (db) => {
         reject(new Error(`Count error: ${event.target.error?.message || 'Unknown error'}`));
       };
     } catch (error) {
-      console.error('Exception in isDatabasePopulated:', error);
+      console.error('Exception in getCustomerCount:', error);
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Highest customer id stored (where an interrupted population resumes)
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @returns {Promise<number>} 0 when the store is empty
+ */
+export const getHighestCustomerId = async (db) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction(['customers'], 'readonly');
+      const cursorRequest = transaction.objectStore('customers').openKeyCursor(null, 'prev');
+
+      cursorRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        resolve(cursor ? cursor.key : 0);
+      };
+
+      cursorRequest.onerror = (event) => {
+        console.error('Cursor error:', event.target.error);
+        reject(new Error(`Cursor error: ${event.target.error?.message || 'Unknown error'}`));
+      };
+    } catch (error) {
+      console.error('Exception in getHighestCustomerId:', error);
       reject(error);
     }
   });
 };
 
 /**
- * Clear all data from the database
+ * Check if database is already populated (fully generated, or imported)
+ * Uses the recorded dataset status, so customers deleted since do not make
+ * it look unfinished; without one, the count has to reach the expected size.
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {number} expectedCount - Configured number of records
+ */
+export const isDatabasePopulated = async (db, expectedCount = 1000000) => {
+  const count = await getCustomerCount(db);
+  const { status } = readDatasetState();
+  console.log(`Database contains ${count} records (status: ${status ?? 'unknown'})`);
+
+  if (status === 'complete' || status === 'imported') return count > 0;
+  if (status === 'populating') return false;
+  return count >= expectedCount;
+};
+
+/**
+ * Clear all data from the database (customers, their messages and the
+ * search index built over them)
  */
 export const clearDatabase = async (db) => {
   return new Promise((resolve, reject) => {
     try {
-      const transaction = db.transaction(['customers'], 'readwrite');
-      const objectStore = transaction.objectStore('customers');
-      const clearRequest = objectStore.clear();
+      const transaction = db.transaction(['customers', 'messages', 'searchIndex'], 'readwrite');
+      transaction.objectStore('searchIndex').clear();
+      transaction.objectStore('messages').clear();
+      const clearRequest = transaction.objectStore('customers').clear();
 
-      clearRequest.onsuccess = () => {
+      transaction.oncomplete = () => {
         console.log('✅ Database cleared successfully');
         resolve();
       };
@@ -249,27 +487,423 @@ export const clearDatabase = async (db) => {
   });
 };
 
+/**
+ * Create or update customers in one transaction
+ * Records without an id are added under the next free ids. The persisted
+ * search index is updated in the same transaction.
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {Array<Object>} customers - Customer records (id omitted for new customers)
+ * @returns {Promise<Array<{customer: Object, previous: Object|null}>>} Saved records
+ *   and the ones they replaced, in input order
+ */
+export const saveCustomers = async (db, customers) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction(['customers', 'searchIndex'], 'readwrite');
+      const objectStore = transaction.objectStore('customers');
+      const results = customers.map(customer => ({ customer, previous: null }));
+      let pendingReads = 0;
+
+      const readsDone = () => {
+        updatePersistedSearchIndex(
+          transaction.objectStore('searchIndex'),
+          results.map(({ customer, previous }) => ({ previous, next: customer }))
+        );
+      };
+
+      const writeAll = (nextId) => {
+        results.forEach((result) => {
+          if (result.customer.id === undefined) {
+            result.customer = { ...result.customer, id: nextId++ };
+            objectStore.put(result.customer);
+            return;
+          }
+          pendingReads++;
+          const getRequest = objectStore.get(result.customer.id);
+          getRequest.onsuccess = () => {
+            result.previous = getRequest.result ?? null;
+            objectStore.put(result.customer);
+            if (--pendingReads === 0) readsDone();
+          };
+        });
+        if (pendingReads === 0) readsDone();
+      };
+
+      if (customers.some(customer => customer.id === undefined)) {
+        // Highest id so far: the last key in primary-key order
+        const cursorRequest = objectStore.openCursor(null, 'prev');
+        cursorRequest.onsuccess = (event) => {
+          const cursor = event.target.result;
+          writeAll(cursor ? cursor.key + 1 : 1);
+        };
+      } else {
+        writeAll(null);
+      }
+
+      transaction.oncomplete = () => {
+        console.log(`✅ ${results.length} customer(s) saved`);
+        resolve(results);
+      };
+
+      transaction.onerror = (event) => {
+        console.error('Save error:', event.target.error);
+        reject(new Error(`Save error: ${event.target.error?.message || 'Unknown error'}`));
+      };
+    } catch (error) {
+      console.error('Exception in saveCustomers:', error);
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Create or update one customer
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {Object} customer - Customer record (id omitted for a new customer)
+ * @returns {Promise<{customer: Object, previous: Object|null}>} Saved record and the one it replaced
+ */
+export const saveCustomer = async (db, customer) => {
+  const [result] = await saveCustomers(db, [customer]);
+  return result;
+};
+
+// A customer's entries in the messages' customerId_sentAt index
+const threadRange = (customerId) => IDBKeyRange.bound([customerId], [customerId, []]);
+
+/**
+ * Delete a customer's messages, as part of the caller's transaction
+ * @param {IDBObjectStore} messageStore - The messages store
+ * @param {number} customerId
+ */
+const deleteThread = (messageStore, customerId) => {
+  const cursorRequest = messageStore.index('customerId').openKeyCursor(IDBKeyRange.only(customerId));
+  cursorRequest.onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    messageStore.delete(cursor.primaryKey);
+    cursor.continue();
+  };
+};
+
+/**
+ * Read a customer's thread, as part of the caller's readwrite transaction
+ * A customer's thread is generated the first time it is read (generating
+ * every thread up front would multiply the writes of populating the
+ * database); it ends at the customer's stored lastMessageAt.
+ * @param {IDBObjectStore} messageStore - The messages store
+ * @param {Object} customer - The stored customer record
+ * @param {Object} generation - Result of createGenerationSettings()
+ * @param {Function} onThread - Called with the messages, oldest first (ids of
+ *   generated ones are filled in once the transaction completes)
+ */
+const readThread = (messageStore, customer, generation, onThread) => {
+  const getRequest = messageStore.index('customerId_sentAt').getAll(threadRange(customer.id));
+  getRequest.onsuccess = () => {
+    if (getRequest.result.length > 0) {
+      onThread(getRequest.result);
+      return;
+    }
+
+    const thread = generateMessageThread(customer, generation);
+    thread.forEach((message) => {
+      const addRequest = messageStore.add(message);
+      addRequest.onsuccess = () => {
+        message.id = addRequest.result;
+      };
+    });
+    onThread(thread);
+  };
+};
+
+/**
+ * Delete customers in one transaction (with their messages and their entries
+ * in the persisted search index)
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {Array<number>} ids - Customer ids
+ * @returns {Promise<Array<Object>>} The deleted records (ids that didn't exist are skipped)
+ */
+export const deleteCustomers = async (db, ids) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction(['customers', 'messages', 'searchIndex'], 'readwrite');
+      const objectStore = transaction.objectStore('customers');
+      const messageStore = transaction.objectStore('messages');
+      const deleted = [];
+      let pendingReads = ids.length;
+
+      const readsDone = () => {
+        updatePersistedSearchIndex(
+          transaction.objectStore('searchIndex'),
+          deleted.map(previous => ({ previous, next: null }))
+        );
+      };
+
+      ids.forEach((id) => {
+        const getRequest = objectStore.get(id);
+        getRequest.onsuccess = () => {
+          if (getRequest.result) {
+            deleted.push(getRequest.result);
+            objectStore.delete(id);
+            deleteThread(messageStore, id);
+          }
+          if (--pendingReads === 0) readsDone();
+        };
+      });
+
+      transaction.oncomplete = () => {
+        if (deleted.length > 0) console.log(`✅ ${deleted.length} customer(s) deleted`);
+        resolve(deleted);
+      };
+
+      transaction.onerror = (event) => {
+        console.error('Delete error:', event.target.error);
+        reject(new Error(`Delete error: ${event.target.error?.message || 'Unknown error'}`));
+      };
+    } catch (error) {
+      console.error('Exception in deleteCustomers:', error);
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Delete one customer (and its messages)
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {number} id - Customer id
+ * @returns {Promise<Object|null>} The deleted record, or null if there was none
+ */
+export const deleteCustomer = async (db, id) => {
+  const [previous] = await deleteCustomers(db, [id]);
+  return previous ?? null;
+};
+
+/**
+ * Read customers by id
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {Array<number>} ids - Customer ids
+ * @returns {Promise<Array<Object>>} Records in the order of ids (missing ones skipped)
+ */
+export const getCustomersByIds = async (db, ids) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction(['customers'], 'readonly');
+      const objectStore = transaction.objectStore('customers');
+      const records = new Array(ids.length);
+
+      ids.forEach((id, i) => {
+        const getRequest = objectStore.get(id);
+        getRequest.onsuccess = () => {
+          records[i] = getRequest.result;
+        };
+      });
+
+      transaction.oncomplete = () => resolve(records.filter(Boolean));
+
+      transaction.onerror = (event) => {
+        console.error('Read error:', event.target.error);
+        reject(new Error(`Read error: ${event.target.error?.message || 'Unknown error'}`));
+      };
+    } catch (error) {
+      console.error('Exception in getCustomersByIds:', error);
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Read one customer by id
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {number} id - Customer id
+ * @returns {Promise<Object|null>} The record, or null if there is none with that id
+ */
+export const getCustomerById = async (db, id) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction(['customers'], 'readonly');
+      const getRequest = transaction.objectStore('customers').get(id);
+
+      getRequest.onsuccess = () => resolve(getRequest.result ?? null);
+
+      getRequest.onerror = (event) => {
+        console.error('Read error:', event.target.error);
+        reject(new Error(`Read error: ${event.target.error?.message || 'Unknown error'}`));
+      };
+    } catch (error) {
+      console.error('Exception in getCustomerById:', error);
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Read a customer's messages
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {number} customerId - Customer id
+ * @param {Object} options - Dataset settings, to generate the thread the first time
+ * @returns {Promise<Array<Object>>} Messages { id, customerId, sentAt, direction, text },
+ *   oldest first (none if there is no such customer)
+ */
+export const getCustomerMessages = async (db, customerId, options = {}) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction(['customers', 'messages'], 'readwrite');
+      const messageStore = transaction.objectStore('messages');
+      let messages = [];
+
+      const getRequest = transaction.objectStore('customers').get(customerId);
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) return;
+        readThread(messageStore, getRequest.result, createGenerationSettings(options), (thread) => {
+          messages = thread;
+        });
+      };
+
+      transaction.oncomplete = () => resolve(messages);
+
+      transaction.onerror = (event) => {
+        console.error('Read error:', event.target.error);
+        reject(new Error(`Read error: ${event.target.error?.message || 'Unknown error'}`));
+      };
+    } catch (error) {
+      console.error('Exception in getCustomerMessages:', error);
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Send a message to a customer
+ * The message and the customer's lastMessageAt are written in one transaction,
+ * so the record never disagrees with its thread.
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {number} customerId - Customer id
+ * @param {string} text - Message text
+ * @param {Object} options - Dataset settings, to generate the thread first if needed
+ * @returns {Promise<{message: Object, customer: Object, previous: Object}>} The stored
+ *   message, the updated record and the one it replaced
+ */
+export const addCustomerMessage = async (db, customerId, text, options = {}) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction(['customers', 'messages'], 'readwrite');
+      const objectStore = transaction.objectStore('customers');
+      const messageStore = transaction.objectStore('messages');
+      let result = null;
+
+      const getRequest = objectStore.get(customerId);
+      getRequest.onsuccess = () => {
+        const previous = getRequest.result;
+        if (!previous) {
+          transaction.abort();
+          reject(new Error(`Customer #${customerId} no longer exists`));
+          return;
+        }
+
+        readThread(messageStore, previous, createGenerationSettings(options), (thread) => {
+          const { message, customer } = buildSentMessage(previous, thread, text);
+          const addRequest = messageStore.add(message);
+          addRequest.onsuccess = () => {
+            message.id = addRequest.result;
+          };
+          objectStore.put(customer);
+          result = { message, customer, previous };
+        });
+      };
+
+      transaction.oncomplete = () => {
+        console.log(`✅ Message sent to customer #${customerId}`);
+        resolve(result);
+      };
+
+      transaction.onerror = (event) => {
+        console.error('Save error:', event.target.error);
+        reject(new Error(`Save error: ${event.target.error?.message || 'Unknown error'}`));
+      };
+    } catch (error) {
+      console.error('Exception in addCustomerMessage:', error);
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Find customers by email address (used to merge imported customers)
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {Array<string>} emails - Email addresses, normalised like stored ones (normalizeEmail)
+ * @returns {Promise<Map<string, Object>>} email -> first stored customer with it
+ */
+export const getCustomersByEmails = async (db, emails) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction(['customers'], 'readonly');
+      const emailIndex = transaction.objectStore('customers').index('email');
+      const found = new Map();
+
+      new Set(emails).forEach((email) => {
+        const getRequest = emailIndex.get(email);
+        getRequest.onsuccess = () => {
+          if (getRequest.result) found.set(email, getRequest.result);
+        };
+      });
+
+      transaction.oncomplete = () => resolve(found);
+
+      transaction.onerror = (event) => {
+        console.error('Read error:', event.target.error);
+        reject(new Error(`Read error: ${event.target.error?.message || 'Unknown error'}`));
+      };
+    } catch (error) {
+      console.error('Exception in getCustomersByEmails:', error);
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Read every customer id, in ascending order
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @returns {Promise<Array<number>>}
+ */
+export const getAllCustomerIds = async (db) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction(['customers'], 'readonly');
+      const keysRequest = transaction.objectStore('customers').getAllKeys();
+
+      keysRequest.onsuccess = () => resolve(keysRequest.result);
+
+      keysRequest.onerror = (event) => {
+        console.error('Read error:', event.target.error);
+        reject(new Error(`Read error: ${event.target.error?.message || 'Unknown error'}`));
+      };
+    } catch (error) {
+      console.error('Exception in getAllCustomerIds:', error);
+      reject(error);
+    }
+  });
+};
+
 /**
  * Generate customers in memory with progressive loading (fallback if IndexedDB fails)
  * @param {number} count - Total number of customers to generate
  * @param {Function} onProgress - Callback for progress updates (processed, total)
  * @param {Function} onBatchComplete - Callback when each batch is ready to display (customers array)
- * @returns {Promise<Array>} Promise that resolves with all customers when complete
+ * @param {Object} options - Dataset settings: { seed, referenceDate, profile, domains }
+ * @returns {Promise<number>} Promise that resolves with the number of customers generated
+ *   (the records only go to onBatchComplete, so they are never held twice)
  */
-export const generateCustomersInMemory = async (count = 1000000, onProgress, onBatchComplete) => {
+export const generateCustomersInMemory = async (count = 1000000, onProgress, onBatchComplete, options = {}) => {
   const BATCH_SIZE = 5000; // Smaller batch size for faster initial display
-  const allCustomers = [];
+  const generation = createGenerationSettings(options);
 
   for (let batchStart = 1; batchStart <= count; batchStart += BATCH_SIZE) {
     const batchEnd = Math.min(batchStart + BATCH_SIZE - 1, count);
     const batchCustomers = [];
 
     for (let i = batchStart; i <= batchEnd; i++) {
-      batchCustomers.push(generateCustomer(i));
+      batchCustomers.push(generateCustomer(i, generation));
     }
 
-    allCustomers.push(...batchCustomers);
-
     if (onProgress) {
       onProgress(batchEnd, count);
     }
@@ -283,5 +917,5 @@ export const generateCustomersInMemory = async (count = 1000000, onProgress, onB
     await new Promise(resolve => setTimeout(resolve, 0));
   }
 
-  return allCustomers;
+  return count;
 };
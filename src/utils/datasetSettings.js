@@ -0,0 +1,138 @@
+/**
+ * Size and shape of the generated dataset, and what the stored one holds
+ *
+ * Settings come from the dataset settings screen or the URL:
+ *
+ *   ?count=50000&profile=international&domains=acme.com,example.org&seed=42
+ *
+ * The settings a database was generated with are remembered in
+ * localStorage next to its status ('populating', 'complete' or 'imported'),
+ * so a reload knows whether the stored customers are the ones asked for and
+ * whether their population finished, whatever their count is now.
+ */
+
+import { GENERATOR_PROFILES, DEFAULT_PROFILE } from './generatorProfiles';
+
+export const MIN_RECORD_COUNT = 1000;
+export const MAX_RECORD_COUNT = 5000000;
+
+export const DEFAULT_DATASET_SETTINGS = {
+  count: 1000000,
+  profile: DEFAULT_PROFILE,
+  // Overrides the profile's email domains when not empty
+  domains: [],
+  seed: '',
+  referenceDate: null
+};
+
+const STORAGE_KEY = 'customersDataset';
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
+/**
+ * Keep a record count within the supported range
+ * @param {number} count
+ * @returns {number}
+ */
+export const clampRecordCount = (count) => {
+  if (!Number.isFinite(count)) return DEFAULT_DATASET_SETTINGS.count;
+  return Math.min(MAX_RECORD_COUNT, Math.max(MIN_RECORD_COUNT, Math.round(count)));
+};
+
+/**
+ * Parse a comma / whitespace separated list of email domains, dropping invalid ones
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export const parseDomains = (text) => [...new Set(
+  String(text).toLowerCase().split(/[\s,]+/).filter(domain => DOMAIN_PATTERN.test(domain))
+)];
+
+/**
+ * Fill in defaults and drop anything invalid
+ * @param {Object} settings - Partial settings
+ * @returns {Object} Complete settings
+ */
+export const normalizeDatasetSettings = (settings = {}) => {
+  const merged = { ...DEFAULT_DATASET_SETTINGS, ...settings };
+  return {
+    count: clampRecordCount(Number(merged.count)),
+    profile: GENERATOR_PROFILES[merged.profile] ? merged.profile : DEFAULT_PROFILE,
+    domains: Array.isArray(merged.domains) ? parseDomains(merged.domains.join(',')) : [],
+    seed: String(merged.seed ?? ''),
+    referenceDate: Number.isFinite(merged.referenceDate) ? merged.referenceDate : null
+  };
+};
+
+const sameSettings = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Read what the stored database holds
+ * @returns {{settings: Object, status: string|null}} status is null when unknown
+ *   (nothing recorded, e.g. a database populated before this was tracked)
+ */
+export const readDatasetState = () => {
+  try {
+    const stored = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) ?? 'null');
+    if (stored) {
+      return { settings: normalizeDatasetSettings(stored.settings), status: stored.status ?? null };
+    }
+  } catch (error) {
+    console.warn('Could not read the dataset state:', error);
+  }
+  return { settings: DEFAULT_DATASET_SETTINGS, status: null };
+};
+
+/**
+ * Record what the stored database holds
+ * @param {Object} state - { settings, status }; omitted parts are kept
+ */
+export const writeDatasetState = (state) => {
+  try {
+    const next = { ...readDatasetState(), ...state };
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (error) {
+    console.warn('Could not store the dataset state:', error);
+  }
+};
+
+/**
+ * Settings asked for by this page load: the stored ones, overridden by the URL
+ * @param {string} search - location.search
+ * @returns {{settings: Object, changed: boolean}} changed when they differ from
+ *   the settings the stored database was generated with
+ */
+export const readDatasetSettings = (search) => {
+  const params = new URLSearchParams(search);
+  const stored = readDatasetState().settings;
+  const requested = { ...stored };
+
+  if (params.has('count')) requested.count = Number(params.get('count'));
+  if (params.has('profile')) requested.profile = params.get('profile');
+  if (params.has('domains')) requested.domains = parseDomains(params.get('domains'));
+  if (params.has('seed')) requested.seed = params.get('seed');
+  if (params.has('referenceDate')) {
+    const referenceDate = Date.parse(params.get('referenceDate'));
+    requested.referenceDate = Number.isNaN(referenceDate) ? null : referenceDate;
+  }
+
+  const settings = normalizeDatasetSettings(requested);
+  return { settings, changed: !sameSettings(settings, stored) };
+};
+
+/**
+ * Query string that asks for these settings (used to apply the settings screen)
+ * @param {Object} settings
+ * @returns {string}
+ */
+export const writeDatasetSettings = (settings) => {
+  const params = new URLSearchParams();
+  params.set('count', String(settings.count));
+  params.set('profile', settings.profile);
+  if (settings.domains.length > 0) params.set('domains', settings.domains.join(','));
+  if (settings.seed) params.set('seed', settings.seed);
+  if (settings.referenceDate !== null) {
+    params.set('referenceDate', new Date(settings.referenceDate).toISOString().slice(0, 10));
+  }
+  return `?${params.toString()}`;
+};
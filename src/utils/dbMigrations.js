@@ -0,0 +1,184 @@
+/**
+ * Schema versions of CustomersDB
+ *
+ * Every change to the stores or indexes is a migration with the version it
+ * upgrades the database to. Opening the database runs, in order, each
+ * migration above the version found on disk, all inside the single
+ * versionchange transaction IndexedDB gives an upgrade. If any step fails,
+ * that transaction is aborted: IndexedDB then undoes every change of the
+ * upgrade, so the database stays exactly as it was, at its old version.
+ *
+ * A migration only ever touches the database through the upgrade
+ * transaction (and must not wait on anything else, or the transaction
+ * commits under it). The context it receives can:
+ *   - addIndex(store, name, keyPath)      create an index unless it exists
+ *   - updateRecords(store, transform)     rewrite, keep or delete every record,
+ *                                         reporting progress per batch
+ *   - reportProgress(done, total)         for any other long-running work
+ *
+ * To change the schema, append a migration; never edit one that has shipped.
+ */
+
+export const DB_NAME = 'CustomersDB';
+
+// Records transformed between two progress reports
+const UPDATE_BATCH_SIZE = 5000;
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the customers store and its indexes',
+    migrate: ({ db }) => {
+      if (db.objectStoreNames.contains('customers')) return;
+      const objectStore = db.createObjectStore('customers', { keyPath: 'id' });
+
+      // Create indexes for search optimization
+      objectStore.createIndex('name', 'name', { unique: false });
+      objectStore.createIndex('email', 'email', { unique: false });
+      objectStore.createIndex('phone', 'phone', { unique: false });
+      objectStore.createIndex('score', 'score', { unique: false });
+      objectStore.createIndex('lastMessageAt', 'lastMessageAt', { unique: false });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add the persisted search index store',
+    migrate: ({ db }) => {
+      // trigram -> sorted customer ids
+      if (!db.objectStoreNames.contains('searchIndex')) db.createObjectStore('searchIndex');
+    }
+  },
+  // Version 3 indexed addedBy, which nothing reads (sorting by it needs the
+  // worker's lowercased order); fresh databases skip it
+  {
+    version: 4,
+    description: 'Add the messages store behind each customer\'s lastMessageAt',
+    migrate: ({ db, addIndex }) => {
+      // { id, customerId, sentAt, direction: 'in' | 'out', text }
+      if (!db.objectStoreNames.contains('messages')) {
+        db.createObjectStore('messages', { keyPath: 'id', autoIncrement: true });
+      }
+      addIndex('messages', 'customerId', 'customerId');
+      // A customer's thread in time order
+      addIndex('messages', 'customerId_sentAt', ['customerId', 'sentAt']);
+    }
+  },
+  {
+    version: 5,
+    description: 'Add the saved views store',
+    migrate: ({ db }) => {
+      // { id, name, query, columnLayouts, isDefault, updatedAt } (see savedViews.js)
+      if (!db.objectStoreNames.contains('savedViews')) {
+        db.createObjectStore('savedViews', { keyPath: 'id', autoIncrement: true });
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Lowercase stored email addresses so imports match them in any case',
+    migrate: ({ updateRecords }) => updateRecords('customers', (customer) => {
+      // Spelled out rather than calling normalizeEmail(): a shipped migration never changes
+      const email = String(customer.email).trim().toLowerCase();
+      return email === customer.email ? undefined : { ...customer, email };
+    })
+  }
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = (event) => reject(new Error(event.target.error?.message || 'Unknown error'));
+});
+
+/**
+ * Helpers handed to each migration
+ */
+const createMigrationContext = (db, transaction, reportProgress) => ({
+  db,
+  transaction,
+  reportProgress,
+
+  addIndex: (storeName, indexName, keyPath, options = { unique: false }) => {
+    const objectStore = transaction.objectStore(storeName);
+    if (!objectStore.indexNames.contains(indexName)) {
+      objectStore.createIndex(indexName, keyPath, options);
+    }
+  },
+
+  /**
+   * Visit every record of a store
+   * @param {string} storeName
+   * @param {Function} transform - (record) => new record to store, null to delete
+   *   the record, or undefined to leave it unchanged
+   * @returns {Promise<number>} Number of records visited
+   */
+  updateRecords: async (storeName, transform) => {
+    const objectStore = transaction.objectStore(storeName);
+    const total = await requestToPromise(objectStore.count());
+
+    return new Promise((resolve, reject) => {
+      let processed = 0;
+      const cursorRequest = objectStore.openCursor();
+
+      cursorRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          reportProgress(total, total);
+          resolve(processed);
+          return;
+        }
+
+        try {
+          const next = transform(cursor.value);
+          if (next === null) {
+            cursor.delete();
+          } else if (next !== undefined) {
+            cursor.update(next);
+          }
+        } catch (error) {
+          reject(error);
+          return;
+        }
+
+        processed++;
+        if (processed % UPDATE_BATCH_SIZE === 0) reportProgress(processed, total);
+        cursor.continue();
+      };
+
+      cursorRequest.onerror = (event) => {
+        reject(new Error(`Cursor error: ${event.target.error?.message || 'Unknown error'}`));
+      };
+    });
+  }
+});
+
+/**
+ * Run every migration above oldVersion, in order
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {IDBTransaction} transaction - The upgrade (versionchange) transaction
+ * @param {number} oldVersion - Version found on disk (0 for a new database)
+ * @param {Function} onProgress - Called with { version, description, step, steps, done, total }
+ * @returns {Promise<void>} Rejects with the first failure; the caller aborts the upgrade
+ */
+export const runMigrations = async (db, transaction, oldVersion, onProgress) => {
+  const pending = MIGRATIONS.filter(migration => migration.version > oldVersion);
+
+  for (let i = 0; i < pending.length; i++) {
+    const { version, description, migrate } = pending[i];
+    const report = (done, total) => {
+      if (onProgress) onProgress({ version, description, step: i + 1, steps: pending.length, done, total });
+    };
+
+    console.log(`⬆️ Migrating ${DB_NAME} to version ${version}: ${description}`);
+    report(0, 0);
+    try {
+      await migrate(createMigrationContext(db, transaction, report));
+    } catch (error) {
+      throw new Error(`Migration to version ${version} failed: ${error.message}`);
+    }
+  }
+};
@@ -0,0 +1,278 @@
+/**
+ * Typo-tolerant matching for the fuzzy search mode
+ *
+ * A search word matches a field when the field contains it exactly, or when
+ * one of the field's tokens is within a few edits of it (insertions,
+ * deletions, substitutions and swapped neighbours, so "smtih" finds "smith"
+ * and "jenifer" finds "jennifer"). Fields are split into tokens on
+ * punctuation and letter/digit boundaries: "mary.smith123@gmail.com" gives
+ * mary, smith, 123, gmail, com.
+ *
+ * The same functions rank results in the query worker and compute the
+ * characters to highlight in the table, so both always agree.
+ */
+
+import { SEARCHABLE_COLUMNS, SEARCH_WEIGHTS } from './customerColumns';
+
+// The fields plain search terms look in (name, email and phone)
+export const FUZZY_FIELDS = SEARCHABLE_COLUMNS;
+
+const TOKEN_PATTERN = /[a-z]+|[0-9]+|[^a-z0-9\s.@()+\-_]+/g;
+
+// Distances one word matcher keeps at most
+const MAX_MEMOISED_DISTANCES = 50000;
+
+/**
+ * Number of edits a word of this length may contain and still match
+ * @param {string} word
+ * @returns {number}
+ */
+export const maxEditsFor = (word) => {
+  if (word.length < 3) return 0;
+  if (word.length <= 5) return 1;
+  return 2;
+};
+
+/**
+ * Split lowercased text into tokens with their offsets
+ * @param {string} text - Lowercased field text
+ * @returns {Array<{token: string, start: number}>}
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    tokens.push({ token: match[0], start: match.index });
+  }
+  return tokens;
+};
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps)
+ * Gives up early and returns limit + 1 once every path is over the limit
+ * @returns {number}
+ */
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous2 = null;
+  let previous = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) previous[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Array(b.length + 1);
+    current[0] = i;
+    let rowMin = current[0];
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current[j] = value;
+      if (value < rowMin) rowMin = value;
+    }
+
+    if (rowMin > limit) return limit + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Positions in `token` that line up with a character of `word` in the
+ * cheapest alignment between them (used to highlight a fuzzy match)
+ * @returns {Array<number>}
+ */
+const alignedPositions = (word, token) => {
+  const rows = word.length + 1;
+  const cols = token.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = word[i - 1] === token[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && word[i - 1] === token[j - 2] && word[i - 2] === token[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  // Walk back through the cheapest path, keeping matched and swapped characters
+  const positions = [];
+  let i = word.length;
+  let j = token.length;
+  while (i > 0 && j > 0) {
+    if (word[i - 1] === token[j - 1] && d[i][j] === d[i - 1][j - 1]) {
+      positions.push(j - 1);
+      i--;
+      j--;
+    } else if (i > 1 && j > 1 && word[i - 1] === token[j - 2] && word[i - 2] === token[j - 1] &&
+        d[i][j] === d[i - 2][j - 2] + 1) {
+      positions.push(j - 1, j - 2);
+      i -= 2;
+      j -= 2;
+    } else if (d[i][j] === d[i - 1][j - 1] + 1) {
+      i--;
+      j--;
+    } else if (d[i][j] === d[i - 1][j] + 1) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  return positions;
+};
+
+/**
+ * Create a matcher for one search word
+ * Token distances are memoised: the generated data reuses the same few
+ * thousand tokens across 1M customers, so most lookups are cache hits.
+ * Emails and phone numbers are mostly unique tokens though, so the memo is
+ * started over once it holds MAX_MEMOISED_DISTANCES of them.
+ * @param {string} word - Lowercased search word
+ * @returns {Function} (text) => { quality, start, end, token } | null
+ */
+export const createWordMatcher = (word) => {
+  const limit = maxEditsFor(word);
+  const distances = new Map();
+
+  const tokenDistance = (token) => {
+    let distance = distances.get(token);
+    if (distance === undefined) {
+      // Also accept the word as a slightly misspelled start of a longer token
+      distance = Math.min(
+        editDistance(word, token, limit),
+        token.length > word.length ? editDistance(word, token.slice(0, word.length), limit) : limit + 1
+      );
+      if (distances.size >= MAX_MEMOISED_DISTANCES) distances.clear();
+      distances.set(token, distance);
+    }
+    return distance;
+  };
+
+  return (text) => {
+    // Exact substring: the best match there is
+    const exact = text.indexOf(word);
+    if (exact !== -1) {
+      const atTokenStart = exact === 0 || !/[a-z0-9]/.test(text[exact - 1]);
+      return { quality: atTokenStart ? 120 : 100, start: exact, end: exact + word.length, token: null };
+    }
+    if (limit === 0) return null;
+
+    let best = null;
+    for (const { token, start } of tokenize(text)) {
+      const distance = tokenDistance(token);
+      if (distance <= limit && (!best || distance < best.distance)) {
+        best = { distance, start, token };
+      }
+    }
+    if (!best) return null;
+
+    return {
+      quality: 100 - 30 * best.distance,
+      start: best.start,
+      end: best.start + best.token.length,
+      token: best.token
+    };
+  };
+};
+
+/**
+ * Split text search terms into the words fuzzy matching works on
+ * @param {Array<string>} terms - Lowercased text terms
+ * @returns {Array<string>}
+ */
+export const toFuzzyWords = (terms) => terms.flatMap(term => term.split(/\s+/).filter(Boolean));
+
+/**
+ * Create a relevance scorer for a set of search words
+ * @param {Array<string>} words - Lowercased search words
+ * @param {Object} options - { requireAll: return -1 as soon as one word matches no field;
+ *   when false such words just add nothing (ranking across OR-ed terms) }
+ * @returns {Function} (customer) => relevance, or -1 if a required word matches no field
+ */
+export const createRelevanceScorer = (words, { requireAll = true } = {}) => {
+  const matchers = words.map(createWordMatcher);
+
+  return (customer) => {
+    let total = 0;
+    for (const match of matchers) {
+      let best = -1;
+      for (const field of FUZZY_FIELDS) {
+        const result = match(String(customer[field]).toLowerCase());
+        if (result) {
+          const weighted = result.quality * SEARCH_WEIGHTS[field];
+          if (weighted > best) best = weighted;
+        }
+      }
+      if (best < 0) {
+        if (requireAll) return -1;
+        continue;
+      }
+      total += best;
+    }
+    return total;
+  };
+};
+
+/**
+ * Compute the character ranges to highlight in one cell
+ * @param {string} text - Cell text as displayed
+ * @param {Array<string>} terms - Lowercased search terms for this field
+ * @param {boolean} fuzzy - Highlight typo-tolerant matches too
+ * @returns {Array<[number, number]>} Sorted, non-overlapping [start, end) ranges
+ */
+export const getHighlightRanges = (text, terms, fuzzy) => {
+  if (!text || terms.length === 0) return [];
+
+  const lower = String(text).toLowerCase();
+  const ranges = [];
+
+  const words = fuzzy ? toFuzzyWords(terms) : terms;
+  for (const word of words) {
+    if (!fuzzy) {
+      // Exact mode: every occurrence of the term
+      let from = lower.indexOf(word);
+      while (word && from !== -1) {
+        ranges.push([from, from + word.length]);
+        from = lower.indexOf(word, from + word.length);
+      }
+      continue;
+    }
+
+    const match = createWordMatcher(word)(lower);
+    if (!match) continue;
+    if (!match.token) {
+      ranges.push([match.start, match.end]);
+      continue;
+    }
+    // Fuzzy token match: only the characters that line up with the word
+    for (const position of alignedPositions(word, match.token)) {
+      ranges.push([match.start + position, match.start + position + 1]);
+    }
+  }
+
+  // Merge overlapping / touching ranges
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+};
@@ -0,0 +1,66 @@
+/**
+ * Name and email-domain pools the data generator draws from
+ *
+ * Bigger and more varied pools give more distinct names and emails (more
+ * trigrams, rarer search hits), which changes how searches and sorts behave
+ * on the same number of records.
+ */
+
+const CLASSIC_FIRST_NAMES = [
+  'James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda',
+  'William', 'Barbara', 'David', 'Elizabeth', 'Richard', 'Susan', 'Joseph', 'Jessica',
+  'Thomas', 'Sarah', 'Charles', 'Karen', 'Christopher', 'Nancy', 'Daniel', 'Lisa',
+  'Matthew', 'Betty', 'Anthony', 'Margaret', 'Mark', 'Sandra', 'Donald', 'Ashley',
+  'Steven', 'Kimberly', 'Paul', 'Emily', 'Andrew', 'Donna', 'Joshua', 'Michelle'
+];
+
+const CLASSIC_LAST_NAMES = [
+  'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis',
+  'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas',
+  'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee', 'Perez', 'Thompson', 'White',
+  'Harris', 'Sanchez', 'Clark', 'Ramirez', 'Lewis', 'Robinson', 'Walker', 'Young'
+];
+
+const CLASSIC_DOMAINS = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'company.com'];
+
+const INTERNATIONAL_FIRST_NAMES = [
+  'Aiko', 'Mateo', 'Priya', 'Olusegun', 'Ingrid', 'Wei', 'Fatima', 'Lars',
+  'Chiara', 'Hamid', 'Sofia', 'Kenji', 'Amara', 'Dmitri', 'Lucia', 'Arjun',
+  'Noor', 'Tomasz', 'Yuki', 'Emeka', 'Elif', 'Joao', 'Mei', 'Rafael',
+  'Anya', 'Kwame', 'Leila', 'Sven', 'Camila', 'Hiroshi', 'Zainab', 'Pierre'
+];
+
+const INTERNATIONAL_LAST_NAMES = [
+  'Tanaka', 'Silva', 'Sharma', 'Adeyemi', 'Johansson', 'Zhang', 'Haddad', 'Nielsen',
+  'Rossi', 'Karimi', 'Novak', 'Sato', 'Okafor', 'Ivanov', 'Fernandez', 'Patel',
+  'Rahman', 'Kowalski', 'Suzuki', 'Mensah', 'Yilmaz', 'Costa', 'Chen', 'Moreau',
+  'Petrova', 'Boateng', 'Nasser', 'Lindqvist', 'Vargas', 'Kobayashi', 'Bello', 'Dubois'
+];
+
+const INTERNATIONAL_DOMAINS = [
+  'gmx.de', 'orange.fr', 'libero.it', 'yandex.ru', 'naver.com',
+  'qq.com', 'web.de', 'uol.com.br', 'rediffmail.com', 'mail.co.za'
+];
+
+export const GENERATOR_PROFILES = {
+  classic: {
+    label: 'Classic (US names, 5 domains)',
+    firstNames: CLASSIC_FIRST_NAMES,
+    lastNames: CLASSIC_LAST_NAMES,
+    domains: CLASSIC_DOMAINS
+  },
+  international: {
+    label: 'International (10 domains)',
+    firstNames: INTERNATIONAL_FIRST_NAMES,
+    lastNames: INTERNATIONAL_LAST_NAMES,
+    domains: INTERNATIONAL_DOMAINS
+  },
+  mixed: {
+    label: 'Mixed (both pools, 15 domains)',
+    firstNames: [...CLASSIC_FIRST_NAMES, ...INTERNATIONAL_FIRST_NAMES],
+    lastNames: [...CLASSIC_LAST_NAMES, ...INTERNATIONAL_LAST_NAMES],
+    domains: [...CLASSIC_DOMAINS, ...INTERNATIONAL_DOMAINS]
+  }
+};
+
+export const DEFAULT_PROFILE = 'classic';
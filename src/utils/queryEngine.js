@@ -0,0 +1,232 @@
+/**
+ * Main-thread client for the customer query worker
+ *
+ * Wraps the worker's message protocol in promises. Only the newest query
+ * is ever kept: starting a query supersedes the previous one, whose
+ * promise rejects with an AbortError once the worker has stopped it.
+ * Dashboard statistics are superseded the same way, by newer statistics.
+ */
+
+/**
+ * Create an AbortError for a superseded query
+ */
+const createAbortError = () => {
+  const error = new Error('Query superseded by a newer one');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Check whether a rejected query was only superseded (not a real failure)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Start the query worker and return its client
+ * @returns {Object} Query engine
+ */
+export const createQueryEngine = () => {
+  const worker = new Worker(
+    new URL('../workers/customerQuery.worker.js', import.meta.url),
+    { type: 'module' }
+  );
+
+  // requestId -> { resolve, reject }
+  const pending = new Map();
+  const loadedListeners = new Set();
+  let progressListener = null;
+  let nextRequestId = 1;
+  let nextQueryId = 1;
+  let nextStatsId = 1;
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'loaded') {
+      loadedListeners.forEach(listener => listener(message.total, message.revision));
+      return;
+    }
+
+    if (message.type === 'progress') {
+      if (progressListener) progressListener(message.processed, message.total);
+      return;
+    }
+
+    const request = pending.get(message.requestId);
+    if (!request) return;
+    pending.delete(message.requestId);
+
+    if (message.type === 'response') {
+      request.resolve(message.result);
+    } else if (message.type === 'cancelled') {
+      request.reject(createAbortError());
+    } else {
+      request.reject(new Error(`Query worker error: ${message.message}`));
+    }
+  };
+
+  worker.onerror = (event) => {
+    console.error('Query worker crashed:', event.message);
+    const error = new Error(`Query worker crashed: ${event.message || 'Unknown error'}`);
+    pending.forEach(request => request.reject(error));
+    pending.clear();
+  };
+
+  const request = (type, payload = {}, transfer = []) => {
+    const requestId = nextRequestId++;
+    return new Promise((resolve, reject) => {
+      pending.set(requestId, { resolve, reject });
+      worker.postMessage({ type, requestId, ...payload }, transfer);
+    });
+  };
+
+  return {
+    /**
+     * Hand a batch of customers (e.g. loaded from IndexedDB) to the worker
+     * @param {Array} customers
+     * @returns {Promise<number>} Dataset size after the append
+     */
+    append: (customers) => request('append', { customers }),
+
+    /**
+     * Add a batch to the worker's search index without keeping the records
+     * (used while IndexedDB is populated and nothing has been searched yet)
+     * @param {Array} customers
+     * @returns {Promise<number>} Number of indexed customers
+     */
+    index: (customers) => request('index', { customers }),
+
+    /**
+     * Apply a created or edited customer to the worker's records and index
+     * @param {Object} customer - Saved record (without id: memory storage mode assigns one)
+     * @param {Object|null} previous - Stored version before the edit, null for a new customer
+     * @returns {Promise<Object>} The customer as held by the worker (with its id)
+     */
+    upsert: async (customer, previous = null) => {
+      const [saved] = await request('upsert', { changes: [{ customer, previous }] });
+      return saved;
+    },
+
+    /**
+     * Apply many saved customers at once (bulk actions)
+     * @param {Array<{customer: Object, previous: Object|null}>} changes
+     * @returns {Promise<Array<Object>>} The customers as held by the worker
+     */
+    upsertMany: (changes) => request('upsert', { changes }),
+
+    /**
+     * Remove a deleted customer from the worker's records and index
+     * @param {number} id - Customer id
+     * @param {Object|null} previous - The deleted record, if known
+     * @returns {Promise<number>} Dataset size after the removal
+     */
+    remove: (id, previous = null) => request('remove', { removals: [{ id, previous }] }),
+
+    /**
+     * Remove many deleted customers at once (bulk actions)
+     * @param {Array<{id: number, previous: Object|null}>} removals
+     * @returns {Promise<number>} Dataset size after the removal
+     */
+    removeMany: (removals) => request('remove', { removals }),
+
+    /**
+     * Forget every customer and the search index (the store is being replaced)
+     * @returns {Promise<number>} Dataset size afterwards (0)
+     */
+    clear: () => request('clear'),
+
+    /**
+     * Write the worker's search index to the searchIndex object store
+     * @returns {Promise<number>} Number of indexed customers
+     */
+    persistSearchIndex: () => request('persistIndex'),
+
+    /**
+     * Load the persisted search index, unless the worker has already built one
+     * @param {number} expectedCount - Customers the index must cover to be used
+     * @returns {Promise<boolean>} false if it has to be rebuilt from the records
+     */
+    restoreSearchIndex: (expectedCount) => request('restoreIndex', { expectedCount }),
+
+    /**
+     * Generate customers directly inside the worker (memory storage mode)
+     * @param {number} count - Number of customers to generate
+     * @param {Function} onProgress - Callback for progress updates (processed, total)
+     * @param {Object} options - { seed, referenceDate } for reproducible data
+     * @returns {Promise<number>} Dataset size once generation is complete
+     */
+    generate: (count, onProgress, options = {}) => {
+      progressListener = onProgress;
+      return request('generate', { count, options }).finally(() => {
+        progressListener = null;
+      });
+    },
+
+    /**
+     * Run a search / filter / sort query, superseding any query still running
+     * @param {Object} params - { query, fuzzy, filters, sortConfig }
+     *   query is the search-box AST from parseQuery() (null for no search),
+     *   fuzzy makes its text terms typo-tolerant and ranks by relevance
+     * @returns {Promise<{ids: Int32Array, total: number}>}
+     */
+    query: ({ query, fuzzy = false, filters, sortConfig }) => request('query', {
+      queryId: nextQueryId++,
+      query,
+      fuzzy,
+      filters,
+      sortConfig,
+      now: Date.now()
+    }),
+
+    /**
+     * Fetch full customer records for the given ids, in the same order
+     * @param {Int32Array|Array<number>} ids
+     * @returns {Promise<Array>}
+     */
+    getRows: (ids) => request('getRows', { ids }),
+
+    /**
+     * Compute the dashboard's statistics over a set of customers,
+     * superseding any statistics still being computed
+     * @param {Int32Array} ids - Customer ids (copied, the caller keeps its array)
+     * @returns {Promise<Object>} See createStatsAccumulator() in customerStats.js
+     */
+    stats: (ids) => {
+      const copy = ids.slice();
+      return request('stats', { statsId: nextStatsId++, ids: copy }, [copy.buffer]);
+    },
+
+    /**
+     * Find held customers by email address (memory storage mode imports)
+     * @param {Array<string>} emails
+     * @returns {Promise<Map<string, Object>>} email -> customer
+     */
+    findByEmails: (emails) => request('findByEmails', { emails }),
+
+    /**
+     * Format customers as CSV lines inside the worker (export chunks)
+     * @param {Int32Array|Array<number>} ids - Customer ids, in export order
+     * @param {Array<string>} columns - Column keys from CSV_COLUMNS
+     * @returns {Promise<string>}
+     */
+    formatCsv: (ids, columns) => request('formatCsv', { ids, columns }),
+
+    /**
+     * Subscribe to dataset changes
+     * @param {Function} listener - Called with the new total and the dataset revision
+     * @returns {Function} Unsubscribe function
+     */
+    onLoaded: (listener) => {
+      loadedListeners.add(listener);
+      return () => loadedListeners.delete(listener);
+    },
+
+    terminate: () => {
+      worker.terminate();
+      pending.forEach(request => request.reject(createAbortError()));
+      pending.clear();
+    }
+  };
+};
@@ -0,0 +1,483 @@
+/**
+ * Small query language for the search box
+ *
+ * Examples:
+ *   mary                         name, email or phone contains "mary"
+ *   email:gmail.com              email contains "gmail.com"
+ *   addedBy:"Mary Smith"         quoted values may contain spaces
+ *   score:>80  score:10..50      comparisons and inclusive ranges on numbers
+ *   last:<30d  last:>1y          last message newer / older than (d, w, m, y)
+ *   last:2024-03-04..2024-03-10  last message between two days (inclusive, UTC)
+ *   -name:john  NOT name:john    negation
+ *   a b  /  a AND b              AND (the default between terms)
+ *   a OR b c                     OR binds tighter than AND, as in web search:
+ *                                this is (a OR b) AND c; parentheses group
+ *   (555) 123-4567               a phone number as pasted is one text term,
+ *                                its parentheses don't group
+ *
+ * parseQuery() turns the text into an AST of plain objects, so it can be
+ * posted to the query worker as is; compileQuery() turns that AST into a
+ * predicate over customer records.
+ */
+
+import { createRelevanceScorer, toFuzzyWords } from './fuzzyMatch';
+import { SEARCHABLE_COLUMNS, HIGHLIGHTED_COLUMNS } from './customerColumns';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Search-box field names (lowercased) -> customer field
+const FIELDS = {
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  addedby: 'addedBy',
+  score: 'score',
+  id: 'id',
+  last: 'lastMessageAt',
+  lastmessage: 'lastMessageAt',
+  lastmessageat: 'lastMessageAt'
+};
+
+const NUMERIC_FIELDS = ['score', 'id'];
+
+// Fields covered by plain text terms (and by the trigram search index)
+export const TEXT_FIELDS = SEARCHABLE_COLUMNS;
+
+const FIELD_LABELS = {
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  addedBy: 'added by',
+  score: 'score',
+  id: 'ID',
+  lastMessageAt: 'last message'
+};
+
+const UNIT_DAYS = { d: 1, w: 7, m: 30, y: 365 };
+
+// A phone number written with an area code in parentheses: (555) 123-4567,
+// (555)123.4567, (555) 123 ... up to the next space-separated word that isn't digits
+const PHONE_PATTERN = /\(\d{1,4}\)(?:[ .-]?\d+)*(?=$|[\s)])/y;
+
+/**
+ * Build a parse error carrying the character position it refers to
+ */
+const parseError = (message, position) => {
+  const error = new Error(message);
+  error.name = 'QueryParseError';
+  error.position = position;
+  return error;
+};
+
+/**
+ * Split the input into words, parentheses and operators
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    const start = i;
+    i++; // opening quote
+    let value = '';
+    while (i < input.length && input[i] !== '"') {
+      value += input[i];
+      i++;
+    }
+    if (i >= input.length) throw parseError('Missing closing quote', start);
+    i++; // closing quote
+    return value;
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // Checked before grouping: formatted phone numbers are pasted here a lot
+    if (char === '(') {
+      PHONE_PATTERN.lastIndex = i;
+      const phone = PHONE_PATTERN.exec(input);
+      if (phone) {
+        tokens.push({ type: 'word', value: phone[0], quoted: true, position: i });
+        i += phone[0].length;
+        continue;
+      }
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+      continue;
+    }
+
+    // A leading dash negates the following term
+    if (char === '-' && i + 1 < input.length && !/[\s()]/.test(input[i + 1])) {
+      tokens.push({ type: 'not', position: i });
+      i++;
+      continue;
+    }
+
+    const position = i;
+
+    if (char === '"') {
+      tokens.push({ type: 'word', value: readQuoted(), quoted: true, position });
+      continue;
+    }
+
+    let value = '';
+    while (i < input.length && !/[\s()"]/.test(input[i])) {
+      value += input[i];
+      i++;
+    }
+
+    // field:"quoted value"
+    if (value.endsWith(':') && input[i] === '"') {
+      value += readQuoted();
+      tokens.push({ type: 'word', value, quoted: true, position });
+      continue;
+    }
+
+    if (value === 'OR' || value === 'AND' || value === 'NOT') {
+      tokens.push({ type: value.toLowerCase(), position });
+    } else {
+      tokens.push({ type: 'word', value, quoted: false, position });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Turn one word token into a text, field, compare or age node
+ */
+const parseTerm = (token) => {
+  const colon = token.value.indexOf(':');
+
+  // Plain text (a quoted phrase or a word without a field prefix)
+  if (colon <= 0) {
+    return { type: 'text', value: token.value.toLowerCase() };
+  }
+
+  const name = token.value.slice(0, colon);
+  const value = token.value.slice(colon + 1);
+  const field = FIELDS[name.toLowerCase()];
+
+  if (!field) {
+    throw parseError(`Unknown field "${name}" (try name, email, phone, addedBy, score, id or last)`, token.position);
+  }
+  if (value === '') {
+    throw parseError(`Missing value after "${name}:"`, token.position);
+  }
+
+  if (NUMERIC_FIELDS.includes(field)) {
+    const range = value.match(/^(\d+)\.\.(\d+)$/);
+    if (range) {
+      return { type: 'range', field, min: Number(range[1]), max: Number(range[2]) };
+    }
+
+    const comparison = value.match(/^(>=|<=|>|<|=)?(\d+)$/);
+    if (!comparison) {
+      throw parseError(`${name} expects a number, e.g. ${name}:>80 or ${name}:10..50`, token.position);
+    }
+    return { type: 'compare', field, op: comparison[1] || '=', value: Number(comparison[2]) };
+  }
+
+  if (field === 'lastMessageAt') {
+    const days = value.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/);
+    if (days && !Number.isNaN(Date.parse(days[1])) && !Number.isNaN(Date.parse(days[2]))) {
+      return { type: 'dateRange', from: days[1], to: days[2] };
+    }
+
+    const age = value.match(/^(>=|<=|>|<)?(\d+)([dwmy])$/i);
+    if (!age) {
+      throw parseError(
+        `${name} expects an age or days, e.g. ${name}:<30d or ${name}:2024-03-04..2024-03-10`,
+        token.position
+      );
+    }
+    const amount = Number(age[2]);
+    const unit = age[3].toLowerCase();
+    return { type: 'age', op: age[1] || '<', days: amount * UNIT_DAYS[unit], label: `${amount}${unit}` };
+  }
+
+  return { type: 'field', field, value: value.toLowerCase() };
+};
+
+/**
+ * Parse search-box text into a query AST
+ * @param {string} input - Raw search text
+ * @returns {{ ast: Object|null, error: {message: string, position: number}|null }}
+ *   ast is null for empty input
+ */
+export const parseQuery = (input) => {
+  let tokens;
+  try {
+    tokens = tokenize(input);
+  } catch (error) {
+    return { ast: null, error: { message: error.message, position: error.position } };
+  }
+
+  let index = 0;
+  const peek = () => tokens[index];
+
+  // andExpr := orExpr (('AND')? orExpr)*
+  const parseAnd = () => {
+    const children = [parseOr()];
+    while (peek() && peek().type !== ')') {
+      if (peek().type === 'and') {
+        const operator = tokens[index++];
+        if (!peek() || peek().type === ')' || peek().type === 'and' || peek().type === 'or') {
+          throw parseError('AND needs a term on both sides', operator.position);
+        }
+      }
+      children.push(parseOr());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  // orExpr := unary ('OR' unary)*
+  const parseOr = () => {
+    const children = [parseUnary()];
+    while (peek()?.type === 'or') {
+      const operator = tokens[index++];
+      if (!peek() || peek().type === ')' || peek().type === 'and' || peek().type === 'or') {
+        throw parseError('OR needs a term on both sides', operator.position);
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  // unary := ('-' | 'NOT') unary | primary
+  const parseUnary = () => {
+    const token = peek();
+    if (token?.type === 'not') {
+      index++;
+      if (!peek() || peek().type === ')' || peek().type === 'or' || peek().type === 'and') {
+        throw parseError('Nothing to negate', token.position);
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  // primary := '(' andExpr ')' | term
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) {
+      throw parseError('Query ends unexpectedly', input.length);
+    }
+    if (token.type === '(') {
+      if (peek()?.type === ')') throw parseError('Empty parentheses', token.position);
+      const node = parseAnd();
+      if (peek()?.type !== ')') throw parseError('Missing closing parenthesis', token.position);
+      index++;
+      return node;
+    }
+    if (token.type === 'word') {
+      return parseTerm(token);
+    }
+    throw parseError(`Unexpected ${token.type === ')' ? '")"' : token.type.toUpperCase()}`, token.position);
+  };
+
+  if (tokens.length === 0) return { ast: null, error: null };
+
+  try {
+    const ast = parseAnd();
+    if (index < tokens.length) {
+      throw parseError('Unexpected ")"', tokens[index].position);
+    }
+    return { ast, error: null };
+  } catch (error) {
+    return { ast: null, error: { message: error.message, position: error.position } };
+  }
+};
+
+/**
+ * Compile a query AST into a predicate
+ * Lowercasing of the search values and date cut-offs happen once here,
+ * so the returned function stays cheap when run over 1M records.
+ * @param {Object|null} ast - Query from parseQuery()
+ * @param {number} now - Reference timestamp for last:<30d style terms
+ * @param {Object} options - { fuzzy: plain text terms tolerate typos }
+ * @returns {Function|null} (customer) => boolean, or null for an empty query
+ */
+export const compileQuery = (ast, now = Date.now(), { fuzzy = false } = {}) => {
+  if (!ast) return null;
+
+  const compile = (node) => {
+    switch (node.type) {
+      case 'and': {
+        const children = node.children.map(compile);
+        return (customer) => children.every(child => child(customer));
+      }
+      case 'or': {
+        const children = node.children.map(compile);
+        return (customer) => children.some(child => child(customer));
+      }
+      case 'not': {
+        const child = compile(node.child);
+        return (customer) => !child(customer);
+      }
+      case 'text': {
+        if (fuzzy) {
+          const score = createRelevanceScorer(toFuzzyWords([node.value]));
+          return (customer) => score(customer) >= 0;
+        }
+        return (customer) =>
+          TEXT_FIELDS.some(field => String(customer[field]).toLowerCase().includes(node.value));
+      }
+      case 'field':
+        return (customer) => String(customer[node.field]).toLowerCase().includes(node.value);
+      case 'compare':
+        return (customer) => {
+          const value = Number(customer[node.field]);
+          switch (node.op) {
+            case '>': return value > node.value;
+            case '>=': return value >= node.value;
+            case '<': return value < node.value;
+            case '<=': return value <= node.value;
+            default: return value === node.value;
+          }
+        };
+      case 'range':
+        return (customer) => {
+          const value = Number(customer[node.field]);
+          return value >= node.min && value <= node.max;
+        };
+      case 'age': {
+        // "<30d" = newer than 30 days ago, ">30d" = older than that
+        const cutoff = now - node.days * DAY_MS;
+        const newer = node.op === '<' || node.op === '<=';
+        return (customer) => {
+          const time = new Date(customer.lastMessageAt).getTime();
+          return newer ? time >= cutoff : time < cutoff;
+        };
+      }
+      case 'dateRange': {
+        // Whole days: from the start of the first to the end of the last
+        const from = Date.parse(node.from);
+        const until = Date.parse(node.to) + DAY_MS;
+        return (customer) => {
+          const time = new Date(customer.lastMessageAt).getTime();
+          return time >= from && time < until;
+        };
+      }
+      default:
+        throw new Error(`Unknown query node: ${node.type}`);
+    }
+  };
+
+  return compile(ast);
+};
+
+/**
+ * Collect substrings every match is guaranteed to contain in name, email or phone
+ * Only terms AND-ed at the top level qualify (anything under OR or NOT does not
+ * constrain every match), which is what the trigram index can narrow down on
+ * @param {Object|null} ast - Query from parseQuery()
+ * @returns {Array<string>}
+ */
+export const getRequiredTextTerms = (ast) => {
+  if (!ast) return [];
+
+  const terms = [];
+  const nodes = ast.type === 'and' ? ast.children : [ast];
+  for (const node of nodes) {
+    if (node.type === 'text' || (node.type === 'field' && TEXT_FIELDS.includes(node.field))) {
+      terms.push(node.value);
+    }
+  }
+  return terms;
+};
+
+/**
+ * Collect the plain text terms that count towards a match (not under NOT)
+ * Used to rank fuzzy results by how well these terms match
+ * @param {Object|null} ast - Query from parseQuery()
+ * @returns {Array<string>}
+ */
+export const getPositiveTextTerms = (ast) => {
+  const terms = [];
+  const visit = (node) => {
+    if (!node || node.type === 'not') return;
+    if (node.type === 'text') terms.push(node.value);
+    if (node.children) node.children.forEach(visit);
+  };
+  visit(ast);
+  return terms;
+};
+
+/**
+ * Collect, per highlighted field (see customerColumns.js), the search terms
+ * whose matches should be highlighted: plain text terms apply to the
+ * searchable fields, field terms (name:, addedBy:, ...) only to their own
+ * @param {Object|null} ast - Query from parseQuery()
+ * @returns {Object} field -> Array<string>
+ */
+export const getHighlightTerms = (ast) => {
+  const terms = Object.fromEntries(HIGHLIGHTED_COLUMNS.map(field => [field, []]));
+  const visit = (node) => {
+    if (!node || node.type === 'not') return;
+    if (node.type === 'text') {
+      TEXT_FIELDS.forEach(field => terms[field]?.push(node.value));
+    } else if (node.type === 'field' && terms[node.field]) {
+      terms[node.field].push(node.value);
+    }
+    if (node.children) node.children.forEach(visit);
+  };
+  visit(ast);
+  return terms;
+};
+
+/**
+ * Describe one AST node in words, e.g. `score > 80` or `NOT name contains "john"`
+ * @param {Object} node
+ * @returns {string}
+ */
+export const describeQueryNode = (node) => {
+  switch (node.type) {
+    case 'and':
+      return `(${node.children.map(describeQueryNode).join(' AND ')})`;
+    case 'or':
+      return `(${node.children.map(describeQueryNode).join(' OR ')})`;
+    case 'not':
+      return `NOT ${describeQueryNode(node.child)}`;
+    case 'text':
+      return `"${node.value}" anywhere`;
+    case 'field':
+      return `${FIELD_LABELS[node.field]} contains "${node.value}"`;
+    case 'compare':
+      return `${FIELD_LABELS[node.field]} ${node.op} ${node.value}`;
+    case 'range':
+      return `${FIELD_LABELS[node.field]} ${node.min}–${node.max}`;
+    case 'age':
+      return node.op.startsWith('<')
+        ? `last message within ${node.label}`
+        : `last message older than ${node.label}`;
+    case 'dateRange':
+      return `last message ${node.from}–${node.to}`;
+    default:
+      return node.type;
+  }
+};
+
+/**
+ * Split a query into the chips shown under the search box:
+ * one chip per top-level AND-ed term
+ * @param {Object|null} ast - Query from parseQuery()
+ * @returns {Array<{label: string, negated: boolean}>}
+ */
+export const getQueryChips = (ast) => {
+  if (!ast) return [];
+
+  const nodes = ast.type === 'and' ? ast.children : [ast];
+  return nodes.map(node => ({
+    label: describeQueryNode(node),
+    negated: node.type === 'not'
+  }));
+};
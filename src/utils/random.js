@@ -0,0 +1,55 @@
+/**
+ * Seeded pseudo-random numbers for reproducible data generation
+ *
+ * mulberry32: a tiny 32-bit generator, fast and plenty random for test data
+ * (not for anything security related). Each customer gets its own stream,
+ * derived from the seed and its id, so a customer only depends on
+ * (seed, id) and not on how many were generated before it.
+ */
+
+/**
+ * Turn a seed (number or text, e.g. from the URL) into a 32-bit integer
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export const hashSeed = (seed) => {
+  // FNV-1a over the seed's text, so 42 and "42" give the same data
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a generator of floats in [0, 1), a drop-in for Math.random
+ * @param {number} seed - 32-bit integer
+ * @returns {Function}
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Generator for one item of a seeded sequence (e.g. the customer with this id)
+ * @param {number} seedHash - Result of hashSeed()
+ * @param {number} index - Item number
+ * @returns {Function}
+ */
+export const createRandomFor = (seedHash, index) => {
+  // Mix the two so neighbouring ids start from unrelated states
+  let hash = Math.imul(seedHash ^ Math.imul(index, 0x9e3779b1), 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return createRandom(hash);
+};
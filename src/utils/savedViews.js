@@ -0,0 +1,140 @@
+/**
+ * Saved views: named presets of the list's search, sort, filters and columns
+ *
+ * A view is stored in the savedViews store as
+ *
+ *   { id, name, query: '?q=...&sort=...', columnLayouts: { desktop, tablet },
+ *     isDefault, updatedAt }
+ *
+ * where query is the view encoded the way the URL holds it (viewState.js),
+ * so opening a view saved before a column or filter changed goes through
+ * the same clean-up as an old link. At most one view is the default, the
+ * one opened when the app starts on a URL without a view of its own.
+ */
+
+import { writeViewState } from './viewState';
+
+export const MAX_VIEW_NAME_LENGTH = 60;
+
+/**
+ * Encode the parts of a view a saved view keeps (not the scroll position
+ * or the customer open in the detail panel)
+ * @param {Object} view - { searchTerm, fuzzy, sortConfig, filters }
+ * @returns {string} "?..." or "" for the default view
+ */
+export const encodeSavedView = ({ searchTerm, fuzzy, sortConfig, filters }) =>
+  writeViewState({ searchTerm, fuzzy, sortConfig, filters, row: 0, customerId: null });
+
+/**
+ * Check a view name
+ * @param {string} name - Trimmed name
+ * @param {Array<Object>} views - Saved views
+ * @param {number|null} id - View being renamed (its own name is not a clash)
+ * @returns {string|null} Error message, or null if the name can be used
+ */
+export const validateViewName = (name, views, id = null) => {
+  if (!name) return 'Enter a name';
+  if (name.length > MAX_VIEW_NAME_LENGTH) return `Use at most ${MAX_VIEW_NAME_LENGTH} characters`;
+  const lower = name.toLowerCase();
+  if (views.some(view => view.id !== id && view.name.toLowerCase() === lower)) {
+    return 'A view with this name already exists';
+  }
+  return null;
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * Run a function over the savedViews store in one transaction
+ * @returns {Promise<*>} What the function left in `result.value` once the transaction completes
+ */
+const withStore = (db, mode, run) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = db.transaction(['savedViews'], mode);
+      const result = { value: undefined };
+      run(transaction.objectStore('savedViews'), result);
+
+      transaction.oncomplete = () => resolve(result.value);
+
+      transaction.onerror = (event) => {
+        console.error('Saved views error:', event.target.error);
+        reject(new Error(`Saved views error: ${event.target.error?.message || 'Unknown error'}`));
+      };
+    } catch (error) {
+      console.error('Exception in saved views:', error);
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Create the store of saved views
+ * With a database the views are kept in IndexedDB (and shared by the open
+ * tabs); without one (memory storage mode) they only last until a reload.
+ * @param {IDBDatabase|null} db - The IndexedDB database instance
+ * @returns {Object} { shared, getAll(), put(view), remove(id), setDefault(id | null) },
+ *   every method async; put resolves with the stored view
+ */
+export const createSavedViewStore = (db) => {
+  if (!db) {
+    let views = [];
+    let nextId = 1;
+
+    return {
+      shared: false,
+      getAll: async () => [...views].sort(byName),
+      put: async (view) => {
+        const stored = { ...view, id: view.id ?? nextId++, updatedAt: new Date().toISOString() };
+        views = [...views.filter(item => item.id !== stored.id), stored];
+        return stored;
+      },
+      remove: async (id) => {
+        views = views.filter(view => view.id !== id);
+      },
+      setDefault: async (id) => {
+        views = views.map(view => ({ ...view, isDefault: view.id === id }));
+      }
+    };
+  }
+
+  return {
+    shared: true,
+
+    getAll: () => withStore(db, 'readonly', (objectStore, result) => {
+      const getRequest = objectStore.getAll();
+      getRequest.onsuccess = () => {
+        result.value = getRequest.result.sort(byName);
+      };
+    }),
+
+    put: (view) => withStore(db, 'readwrite', (objectStore, result) => {
+      const { id, ...fields } = view;
+      const stored = { ...fields, updatedAt: new Date().toISOString() };
+      if (id !== undefined) stored.id = id;
+
+      const putRequest = objectStore.put(stored);
+      putRequest.onsuccess = () => {
+        result.value = { ...stored, id: putRequest.result };
+      };
+    }),
+
+    remove: (id) => withStore(db, 'readwrite', (objectStore) => {
+      objectStore.delete(id);
+    }),
+
+    // Exactly one view (or none, for null) ends up as the default
+    setDefault: (id) => withStore(db, 'readwrite', (objectStore) => {
+      const cursorRequest = objectStore.openCursor();
+      cursorRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        const isDefault = cursor.value.id === id;
+        if (Boolean(cursor.value.isDefault) !== isDefault) {
+          cursor.update({ ...cursor.value, isDefault });
+        }
+        cursor.continue();
+      };
+    })
+  };
+};
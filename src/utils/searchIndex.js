@@ -0,0 +1,467 @@
+/**
+ * Trigram search index over customer name, email and phone
+ *
+ * Every field is lowercased and cut into overlapping 3-character slices
+ * ("mary" -> "mar", "ary"). For each trigram the index keeps the sorted ids
+ * of the customers containing it. A search term's trigrams are looked up and
+ * their id lists intersected, which narrows 1M customers down to a small
+ * candidate set; the caller then confirms each candidate with the exact
+ * substring check, because all trigrams being present does not guarantee
+ * they are adjacent (or even in the same field).
+ *
+ * Terms shorter than 3 characters have no trigram, search() returns null
+ * for them and the caller falls back to a linear scan.
+ */
+
+import { SEARCHABLE_COLUMNS } from './customerColumns';
+
+// The fields plain search terms look in (name, email and phone)
+const SEARCH_FIELDS = SEARCHABLE_COLUMNS;
+
+// Key of the bookkeeping record in the persisted searchIndex store
+const META_KEY = '__meta__';
+
+/**
+ * Pack three UTF-16 code units into one number, Map lookups on numbers are
+ * considerably faster than on short strings
+ */
+const encodeTrigram = (text, i) =>
+  (text.charCodeAt(i) * 65536 + text.charCodeAt(i + 1)) * 65536 + text.charCodeAt(i + 2);
+
+/**
+ * Call fn for every trigram of every searchable field of a customer
+ */
+const forEachTrigram = (customer, fn) => {
+  for (const field of SEARCH_FIELDS) {
+    const text = String(customer[field] ?? '').toLowerCase();
+    for (let i = 0; i + 3 <= text.length; i++) {
+      fn(encodeTrigram(text, i));
+    }
+  }
+};
+
+/**
+ * Index of the first element >= id in ids[low, high)
+ */
+const lowerBound = (ids, low, high, id) => {
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (ids[mid] < id) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+/**
+ * Intersect two sorted id lists, binary-searching forward through the longer one
+ */
+const intersectSorted = (small, smallLength, large, largeLength) => {
+  const result = new Int32Array(Math.min(smallLength, largeLength));
+  let count = 0;
+  let from = 0;
+
+  for (let i = 0; i < smallLength && from < largeLength; i++) {
+    const id = small[i];
+    from = lowerBound(large, from, largeLength, id);
+    if (from < largeLength && large[from] === id) {
+      result[count++] = id;
+      from++;
+    }
+  }
+
+  return result.subarray(0, count);
+};
+
+/**
+ * Create an empty trigram index
+ * @returns {Object} Search index
+ */
+export const createSearchIndex = () => {
+  // trigram -> { ids: Int32Array (sorted), length }
+  let postings = new Map();
+
+  // Bitmap of indexed ids, so a customer is never indexed twice
+  let indexedIds = new Uint8Array(1024);
+  let docCount = 0;
+
+  const markIndexed = (id, value) => {
+    if (id >= indexedIds.length) {
+      const grown = new Uint8Array(Math.max(id + 1, indexedIds.length * 2));
+      grown.set(indexedIds);
+      indexedIds = grown;
+    }
+    indexedIds[id] = value;
+  };
+
+  const has = (id) => id < indexedIds.length && indexedIds[id] === 1;
+
+  const addPosting = (trigram, id) => {
+    let posting = postings.get(trigram);
+    if (!posting) {
+      posting = { ids: new Int32Array(8), length: 0 };
+      postings.set(trigram, posting);
+    }
+
+    const { ids, length } = posting;
+
+    // Fast path: ids mostly arrive in ascending order; the same id repeated
+    // means this customer already contributed this trigram from another field
+    if (length > 0 && ids[length - 1] === id) return;
+
+    const at = length === 0 || ids[length - 1] < id ? length : lowerBound(ids, 0, length, id);
+    if (at < length && ids[at] === id) return;
+
+    if (length === ids.length) {
+      const grown = new Int32Array(Math.max(8, ids.length * 2));
+      grown.set(ids);
+      posting.ids = grown;
+    }
+    posting.ids.copyWithin(at + 1, at, length);
+    posting.ids[at] = id;
+    posting.length = length + 1;
+  };
+
+  const removePosting = (trigram, id) => {
+    const posting = postings.get(trigram);
+    if (!posting) return;
+
+    const at = lowerBound(posting.ids, 0, posting.length, id);
+    if (at >= posting.length || posting.ids[at] !== id) return;
+
+    posting.ids.copyWithin(at, at + 1, posting.length);
+    posting.length--;
+    if (posting.length === 0) postings.delete(trigram);
+  };
+
+  /**
+   * Index one customer (ignored if its id is already indexed)
+   * @returns {boolean} Whether the customer was added
+   */
+  const add = (customer) => {
+    if (has(customer.id)) return false;
+    forEachTrigram(customer, trigram => addPosting(trigram, customer.id));
+    markIndexed(customer.id, 1);
+    docCount++;
+    return true;
+  };
+
+  /**
+   * Remove one customer from the index
+   */
+  const remove = (customer) => {
+    if (!has(customer.id)) return;
+    forEachTrigram(customer, trigram => removePosting(trigram, customer.id));
+    markIndexed(customer.id, 0);
+    docCount--;
+  };
+
+  /**
+   * Re-index an edited customer, touching only the trigrams that changed
+   * @param {Object} previous - Customer as currently indexed
+   * @param {Object} next - Customer after the edit (same id)
+   */
+  const update = (previous, next) => {
+    if (!has(previous.id)) {
+      add(next);
+      return;
+    }
+
+    const before = new Set();
+    const after = new Set();
+    forEachTrigram(previous, trigram => before.add(trigram));
+    forEachTrigram(next, trigram => after.add(trigram));
+
+    before.forEach(trigram => {
+      if (!after.has(trigram)) removePosting(trigram, previous.id);
+    });
+    after.forEach(trigram => {
+      if (!before.has(trigram)) addPosting(trigram, next.id);
+    });
+  };
+
+  /**
+   * Find candidate ids for a search term
+   * @param {string} term - Search term (any case)
+   * @returns {Int32Array|null} Sorted candidate ids, or null if the term is too short
+   */
+  const search = (term) => {
+    const text = term.toLowerCase();
+    if (text.length < 3) return null;
+
+    const lists = [];
+    const seen = new Set();
+    for (let i = 0; i + 3 <= text.length; i++) {
+      const trigram = encodeTrigram(text, i);
+      if (seen.has(trigram)) continue;
+      seen.add(trigram);
+
+      const posting = postings.get(trigram);
+      if (!posting) return new Int32Array(0);
+      lists.push(posting);
+    }
+
+    // Start from the rarest trigram so every intersection step stays small
+    lists.sort((a, b) => a.length - b.length);
+
+    // Copy: the caller may hold the candidates while more customers are indexed
+    let candidates = lists[0].ids.slice(0, lists[0].length);
+    for (let i = 1; i < lists.length && candidates.length > 0; i++) {
+      candidates = intersectSorted(candidates, candidates.length, lists[i].ids, lists[i].length);
+    }
+    return candidates;
+  };
+
+  /**
+   * Drop every indexed customer
+   */
+  const clear = () => {
+    postings = new Map();
+    indexedIds = new Uint8Array(1024);
+    docCount = 0;
+  };
+
+  return {
+    add,
+    remove,
+    update,
+    has,
+    search,
+    clear,
+
+    get size() {
+      return docCount;
+    },
+
+    /**
+     * Write the whole index into the searchIndex object store
+     *
+     * One transaction replaces the stored index, so a save is applied either
+     * before it (and overwritten by this snapshot) or after it, never halfway.
+     * The snapshot is the index as of this call: changes indexed later are not
+     * in it and must be written with updatePersistedSearchIndex afterwards.
+     * @param {IDBDatabase} db - The IndexedDB database instance
+     */
+    persist: (db) => {
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['searchIndex'], 'readwrite');
+        const objectStore = transaction.objectStore('searchIndex');
+        const trigramCount = postings.size;
+        const customerCount = docCount;
+
+        // put() clones its value right away, so one trimmed copy at a time is enough
+        objectStore.clear();
+        postings.forEach((posting, trigram) => {
+          objectStore.put(posting.ids.slice(0, posting.length), trigram);
+        });
+        objectStore.put({ docCount: customerCount }, META_KEY);
+
+        transaction.oncomplete = () => {
+          console.log(`✅ Search index persisted (${trigramCount} trigrams, ${customerCount} customers)`);
+          resolve();
+        };
+        transaction.onerror = (event) => {
+          console.error('Search index write error:', event.target.error);
+          reject(new Error(`Search index write error: ${event.target.error?.message || 'Unknown error'}`));
+        };
+      });
+    },
+
+    /**
+     * Replace the index with the one persisted in IndexedDB
+     * @param {IDBDatabase} db - The IndexedDB database instance
+     * @param {number} expectedCount - Number of customers the index must cover
+     * @returns {Promise<boolean>} false if nothing usable was persisted
+     */
+    restore: async (db, expectedCount) => {
+      const stored = await readEntries(db);
+      const meta = stored.get(META_KEY);
+      if (!meta || meta.docCount !== expectedCount) return false;
+      stored.delete(META_KEY);
+
+      postings = new Map();
+      indexedIds = new Uint8Array(1024);
+      docCount = 0;
+
+      // Every customer has trigrams (its phone alone has seven digits or more),
+      // so the postings name every covered id
+      stored.forEach((ids, trigram) => {
+        postings.set(trigram, { ids, length: ids.length });
+        for (let i = 0; i < ids.length; i++) {
+          if (!has(ids[i])) {
+            markIndexed(ids[i], 1);
+            docCount++;
+          }
+        }
+      });
+      if (docCount !== meta.docCount) {
+        clear();
+        return false;
+      }
+
+      console.log(`✅ Search index restored (${postings.size} trigrams, ${docCount} customers)`);
+      return true;
+    }
+  };
+};
+
+/**
+ * Read every persisted entry of the searchIndex store
+ * @returns {Promise<Map>} key -> value
+ */
+const readEntries = (db) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['searchIndex'], 'readonly');
+    const objectStore = transaction.objectStore('searchIndex');
+    const cursorRequest = objectStore.openCursor();
+    const entries = new Map();
+
+    cursorRequest.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        entries.set(cursor.key, cursor.value);
+        cursor.continue();
+      } else {
+        resolve(entries);
+      }
+    };
+
+    cursorRequest.onerror = (event) => {
+      console.error('Search index read error:', event.target.error);
+      reject(new Error(`Search index read error: ${event.target.error?.message || 'Unknown error'}`));
+    };
+  });
+};
+
+/**
+ * Apply id removals and additions to a sorted id list
+ * @param {Int32Array} ids - Sorted ids
+ * @param {Set<number>} removed - Ids to drop
+ * @param {Array<number>} added - Ids to insert (any order, duplicates ignored)
+ * @returns {Int32Array} New sorted ids
+ */
+const editIds = (ids, removed, added) => {
+  const kept = removed.size > 0 ? ids.filter(id => !removed.has(id)) : ids;
+  if (added.length === 0) return kept;
+
+  const additions = Int32Array.from(added).sort();
+  const result = new Int32Array(kept.length + additions.length);
+  let i = 0;
+  let j = 0;
+  let count = 0;
+  while (i < kept.length || j < additions.length) {
+    if (j >= additions.length || (i < kept.length && kept[i] < additions[j])) {
+      result[count++] = kept[i++];
+    } else if (i < kept.length && kept[i] === additions[j]) {
+      j++;
+    } else {
+      if (count === 0 || result[count - 1] !== additions[j]) result[count++] = additions[j];
+      j++;
+    }
+  }
+  // slice, not subarray: a stored view would drag its whole buffer along
+  return result.slice(0, count);
+};
+
+/**
+ * Apply customer changes to the persisted search index
+ *
+ * Runs inside the caller's readwrite transaction (which must include the
+ * searchIndex store), so the index changes together with the customer records
+ * or not at all. Only the trigrams that differ between the two versions of a
+ * record are rewritten, each at most once per call. If no index has been
+ * persisted yet there is nothing to keep in step: it will be built from the
+ * records when first needed.
+ *
+ * @param {IDBObjectStore} objectStore - The searchIndex store of an open transaction
+ * @param {Array<{previous: Object|null, next: Object|null}>} changes - Stored record
+ *   before (null when added) and after (null when deleted) each change
+ */
+export const updatePersistedSearchIndex = (objectStore, changes) => {
+  const metaRequest = objectStore.get(META_KEY);
+
+  metaRequest.onsuccess = () => {
+    const meta = metaRequest.result;
+    if (!meta) return;
+
+    // trigram -> { removed: Set<id>, added: id[] }
+    const edits = new Map();
+    const editFor = (trigram) => {
+      let edit = edits.get(trigram);
+      if (!edit) {
+        edit = { removed: new Set(), added: [] };
+        edits.set(trigram, edit);
+      }
+      return edit;
+    };
+
+    let countChange = 0;
+
+    for (const { previous, next } of changes) {
+      const id = (next ?? previous).id;
+      const before = new Set();
+      const after = new Set();
+      if (previous) forEachTrigram(previous, trigram => before.add(trigram));
+      if (next) forEachTrigram(next, trigram => after.add(trigram));
+
+      before.forEach(trigram => {
+        if (!after.has(trigram)) editFor(trigram).removed.add(id);
+      });
+      after.forEach(trigram => {
+        if (!before.has(trigram)) editFor(trigram).added.push(id);
+      });
+
+      // Customer added or deleted: the meta record counts the covered customers
+      if (!previous && next) countChange++;
+      if (previous && !next) countChange--;
+    }
+
+    edits.forEach(({ removed, added }, trigram) => {
+      const getRequest = objectStore.get(trigram);
+      getRequest.onsuccess = () => {
+        const ids = editIds(getRequest.result ?? new Int32Array(0), removed, added);
+        if (ids.length > 0) objectStore.put(ids, trigram);
+        else objectStore.delete(trigram);
+      };
+    });
+
+    if (countChange !== 0) {
+      objectStore.put({ docCount: meta.docCount + countChange }, META_KEY);
+    }
+  };
+};
+
+/**
+ * Apply customer changes to the persisted search index in a transaction of its own
+ * (for changes whose customer records are already stored)
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ * @param {Array<{previous: Object|null, next: Object|null}>} changes - As for updatePersistedSearchIndex
+ */
+export const writePersistedSearchIndexChanges = (db, changes) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['searchIndex'], 'readwrite');
+    updatePersistedSearchIndex(transaction.objectStore('searchIndex'), changes);
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => {
+      console.error('Search index write error:', event.target.error);
+      reject(new Error(`Search index write error: ${event.target.error?.message || 'Unknown error'}`));
+    };
+  });
+};
+
+/**
+ * Drop the persisted search index (e.g. when the customers store is cleared)
+ * @param {IDBDatabase} db - The IndexedDB database instance
+ */
+export const clearPersistedSearchIndex = (db) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['searchIndex'], 'readwrite');
+    const clearRequest = transaction.objectStore('searchIndex').clear();
+
+    clearRequest.onsuccess = () => resolve();
+    clearRequest.onerror = (event) => {
+      console.error('Search index clear error:', event.target.error);
+      reject(new Error(`Search index clear error: ${event.target.error?.message || 'Unknown error'}`));
+    };
+  });
+};
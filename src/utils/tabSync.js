@@ -0,0 +1,72 @@
+/**
+ * Coordination between tabs sharing CustomersDB
+ *
+ * Every tab of the app reads and writes the same database, so:
+ *   - populating it is done by one tab at a time, under a Web Lock. Other
+ *     tabs wait for the lock, following the populating tab's progress; if
+ *     that tab is closed midway, the next one resumes where it stopped.
+ *   - writes are announced on a BroadcastChannel, so the other tabs update
+ *     their counts and query workers without reading the store again.
+ *
+ * Messages (a tab never receives its own):
+ *   { type: 'customers-saved', changes: [{ customer, previous }] }
+ *   { type: 'customers-deleted', removals: [{ id, previous }] }
+ *   { type: 'customers-cleared', reason: 'populating' | 'importing' }
+ *   { type: 'population-progress', progress, stored }
+ *   { type: 'import-progress', progress }
+ *   { type: 'import-finished' }
+ *   { type: 'saved-views-changed' }
+ *
+ * Browsers without either API simply run uncoordinated, as before.
+ */
+
+const CHANNEL_NAME = 'customers-db';
+
+export const POPULATION_LOCK = 'customers-db-population';
+
+/**
+ * Open the channel to the other tabs
+ * @returns {Object} { post(message), subscribe(listener) => unsubscribe, close() }
+ */
+export const createTabSync = () => {
+  const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANNEL_NAME) : null;
+  const listeners = new Set();
+
+  if (channel) {
+    channel.onmessage = (event) => {
+      listeners.forEach(listener => listener(event.data));
+    };
+  }
+
+  return {
+    post: (message) => {
+      try {
+        if (channel) channel.postMessage(message);
+      } catch (error) {
+        console.warn('Could not notify the other tabs:', error);
+      }
+    },
+
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    close: () => {
+      listeners.clear();
+      if (channel) channel.close();
+    }
+  };
+};
+
+/**
+ * Run a task while holding a lock shared by every tab of the app
+ * Waits for the tab holding it to finish (or close) first.
+ * @param {string} name - Lock name
+ * @param {Function} task - Async function; the lock is held until it settles
+ * @returns {Promise<*>} Whatever the task returns
+ */
+export const runExclusive = (name, task) => {
+  if (!globalThis.navigator?.locks) return task();
+  return navigator.locks.request(name, () => task());
+};
@@ -0,0 +1,109 @@
+/**
+ * URL encoding of the current customer list view
+ *
+ * The search term, fuzzy toggle, sort stack, filters, scroll position and
+ * the customer open in the detail panel are kept in the query string so a
+ * reload or a shared link reopens the exact same slice of the list:
+ *
+ *   ?q=email:gmail.com&fuzzy=1&sort=score:desc,name:asc&score=75-99&last=7d&row=1200&customer=42
+ *
+ * Only values that differ from the defaults are written. Anything unknown or
+ * malformed in a hand-edited URL is dropped rather than reported, except the
+ * dataset parameters (?seed=...), which are not part of the view but must
+ * survive it being rewritten.
+ */
+
+import { SCORE_RANGES, LEGACY_SCORE_RANGE_IDS, DATE_RANGES, EMPTY_FILTERS } from './customerFilters';
+import { SORTABLE_COLUMNS, DEFAULT_SORT_CONFIG } from './customerSort';
+
+// Read once at startup by the data generator, carried over unchanged
+const DATASET_PARAMS = ['count', 'profile', 'domains', 'seed', 'referenceDate'];
+
+export const DEFAULT_VIEW = {
+  searchTerm: '',
+  fuzzy: false,
+  sortConfig: DEFAULT_SORT_CONFIG,
+  filters: EMPTY_FILTERS,
+  row: 0,
+  customerId: null
+};
+
+/**
+ * Parse "column:direction,column:direction" into a sort stack
+ */
+const parseSort = (value) => {
+  const sortConfig = [];
+  for (const part of value.split(',')) {
+    const [column, direction = 'asc'] = part.split(':');
+    if (!SORTABLE_COLUMNS.includes(column)) continue;
+    if (direction !== 'asc' && direction !== 'desc') continue;
+    if (sortConfig.some(sort => sort.column === column)) continue;
+    sortConfig.push({ column, direction });
+  }
+  return sortConfig.length > 0 ? sortConfig : DEFAULT_SORT_CONFIG;
+};
+
+/**
+ * Keep the known option ids of a comma-separated list, in definition order
+ * Ids that were renamed are read through `aliases` (old id -> new ids).
+ */
+const parseOptions = (value, options, aliases = {}) => {
+  const ids = value.split(',').flatMap(id => aliases[id] ?? [id]);
+  return options.filter(option => ids.includes(option.id)).map(option => option.id);
+};
+
+/**
+ * Read the view encoded in a query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {Object} { searchTerm, fuzzy, sortConfig, filters, row, customerId }
+ */
+export const readViewState = (search) => {
+  const params = new URLSearchParams(search);
+  const row = Number.parseInt(params.get('row') ?? '', 10);
+  const customerId = Number.parseInt(params.get('customer') ?? '', 10);
+
+  return {
+    searchTerm: params.get('q') ?? DEFAULT_VIEW.searchTerm,
+    fuzzy: params.get('fuzzy') === '1',
+    sortConfig: params.has('sort') ? parseSort(params.get('sort')) : DEFAULT_VIEW.sortConfig,
+    filters: {
+      scoreRanges: parseOptions(params.get('score') ?? '', SCORE_RANGES, LEGACY_SCORE_RANGE_IDS),
+      dateRanges: parseOptions(params.get('last') ?? '', DATE_RANGES)
+    },
+    row: Number.isFinite(row) && row > 0 ? row : 0,
+    customerId: Number.isFinite(customerId) && customerId > 0 ? customerId : null
+  };
+};
+
+/**
+ * Encode a view as a query string
+ * @param {Object} view - { searchTerm, fuzzy, sortConfig, filters, row, customerId }
+ * @param {string} currentSearch - Query string the dataset parameters are kept from
+ * @returns {string} "?..." or "" for the default view
+ */
+export const writeViewState = ({ searchTerm, fuzzy, sortConfig, filters, row, customerId }, currentSearch = '') => {
+  const params = new URLSearchParams();
+
+  if (searchTerm) params.set('q', searchTerm);
+  if (fuzzy) params.set('fuzzy', '1');
+
+  const sort = sortConfig.map(({ column, direction }) => `${column}:${direction}`).join(',');
+  const defaultSort = DEFAULT_SORT_CONFIG.map(({ column, direction }) => `${column}:${direction}`).join(',');
+  if (sort !== defaultSort) params.set('sort', sort);
+
+  // Definition order, so the same filters always give the same URL
+  const scoreRanges = SCORE_RANGES.filter(range => filters.scoreRanges.includes(range.id));
+  const dateRanges = DATE_RANGES.filter(range => filters.dateRanges.includes(range.id));
+  if (scoreRanges.length > 0) params.set('score', scoreRanges.map(range => range.id).join(','));
+  if (dateRanges.length > 0) params.set('last', dateRanges.map(range => range.id).join(','));
+  if (row > 0) params.set('row', String(row));
+  if (customerId) params.set('customer', String(customerId));
+
+  const current = new URLSearchParams(currentSearch);
+  DATASET_PARAMS.forEach(name => {
+    if (current.has(name)) params.set(name, current.get(name));
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
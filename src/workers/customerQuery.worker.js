@@ -0,0 +1,444 @@
+/**
+ * Customer query worker
+ *
+ * Holds the full customer dataset off the main thread and answers
+ * search / filter / sort queries against it. The main thread only ever
+ * receives the matching ids (as a transferable Int32Array) and the
+ * handful of rows the table is currently rendering.
+ *
+ * A trigram index over name / email / phone narrows text searches down to a
+ * few candidates. It is built from every batch the worker sees, including
+ * batches it only indexes without keeping (while IndexedDB is populated),
+ * and is persisted to / restored from the searchIndex store.
+ *
+ * Single customers can be saved or deleted at any time; the worker keeps its
+ * records and index in step, and in memory storage mode it is the only copy.
+ *
+ * The dashboard's statistics are computed here too, over the ids of the
+ * current result, so only their (small) summary crosses to the main thread.
+ *
+ * Messages in:  { type, requestId, ...payload }
+ * Messages out: { type: 'response', requestId, result } for requests,
+ *               { type: 'cancelled', requestId } for superseded queries,
+ *               { type: 'error', requestId, message } on failure,
+ *               { type: 'loaded', total, revision } whenever the dataset changes,
+ *               { type: 'progress', processed, total } while generating
+ */
+
+import { generateCustomersInMemory, initializeDatabase } from '../utils/dataGenerator';
+import { createFilterPredicate } from '../utils/customerFilters';
+import { compileQuery, getRequiredTextTerms, getPositiveTextTerms } from '../utils/queryParser';
+import { createRelevanceScorer, toFuzzyWords } from '../utils/fuzzyMatch';
+import { getSortValues, createDecoratedComparator } from '../utils/customerSort';
+import { createSearchIndex, writePersistedSearchIndexChanges } from '../utils/searchIndex';
+import { customersToCsv } from '../utils/csvExport';
+import { createStatsAccumulator } from '../utils/customerStats';
+
+// Rows processed between two checks for a newer query
+const CHUNK_SIZE = 50000;
+
+// All customers, in the order they were loaded (ascending id)
+const customers = [];
+
+// id -> position in `customers`, used to serve row slices and to replace
+// records that arrive twice (e.g. a batch both loaded and freshly populated)
+const positionById = new Map();
+
+// Trigram index over every customer the worker has seen
+const searchIndex = createSearchIndex();
+
+// Highest customer id seen, new customers in memory storage mode continue from it
+let largestId = 0;
+
+// Whether the worker holds the full records (not just their index), so new
+// customers are kept as well
+let holdsRecords = false;
+
+// Bumped on every change to the held records, so views know to re-query
+let revision = 0;
+
+// The worker's own IndexedDB connection, opened on first use
+let databasePromise = null;
+
+// Id of the newest query received; older running queries stop at their next check
+let latestQueryId = 0;
+
+// Same for the dashboard's statistics, which run independently of queries
+let latestStatsId = 0;
+
+// Index changes received while the search index is being persisted, or null.
+// The persisted snapshot predates them (and replaced whatever their own save
+// wrote), so they are written again once it is stored. One written twice only
+// throws the count off, and a persisted index with the wrong count is rebuilt.
+let changesWhilePersisting = null;
+
+/**
+ * Marker thrown inside a query that has been superseded by a newer one
+ */
+class QueryCancelled extends Error {}
+
+/**
+ * Yield to the worker's event loop so newer messages can be received
+ */
+const yieldToEvents = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    // Reopen on next use if an upgrade in another tab closes this connection
+    databasePromise = initializeDatabase({ onVersionChange: () => { databasePromise = null; } });
+  }
+  return databasePromise;
+};
+
+const postLoaded = () => {
+  revision++;
+  self.postMessage({ type: 'loaded', total: customers.length, revision });
+};
+
+/**
+ * Index a batch of customers and, unless keep is false, hold on to the records
+ */
+const addCustomers = (batch, { keep = true } = {}) => {
+  for (const customer of batch) {
+    const position = positionById.get(customer.id);
+    if (customer.id > largestId) largestId = customer.id;
+
+    if (position !== undefined) {
+      // A newer version of a record we hold: re-index only what changed
+      searchIndex.update(customers[position], customer);
+      customers[position] = customer;
+      continue;
+    }
+
+    searchIndex.add(customer);
+    if (keep) {
+      positionById.set(customer.id, customers.length);
+      customers.push(customer);
+    }
+  }
+  if (keep) {
+    holdsRecords = true;
+    postLoaded();
+  }
+};
+
+/**
+ * Apply created or edited customers
+ *
+ * `previous` is the stored version of a record, needed to re-index it
+ * when the worker has only indexed it without keeping it. A new record is
+ * only held if the worker already holds the dataset; otherwise it will
+ * arrive with the records loaded from IndexedDB later.
+ * @param {Array<{customer: Object, previous: Object|null}>} changes
+ */
+const upsertCustomers = (changes) => {
+  for (const { customer, previous } of changes) {
+    const position = positionById.get(customer.id);
+    const indexed = position !== undefined ? customers[position] : previous;
+
+    if (indexed && searchIndex.has(customer.id)) {
+      changesWhilePersisting?.push({ previous: indexed, next: customer });
+      searchIndex.update(indexed, customer);
+    } else {
+      changesWhilePersisting?.push({ previous: null, next: customer });
+      searchIndex.add(customer);
+    }
+    if (customer.id > largestId) largestId = customer.id;
+
+    if (position !== undefined) {
+      customers[position] = customer;
+    } else if (holdsRecords) {
+      positionById.set(customer.id, customers.length);
+      customers.push(customer);
+    }
+  }
+  postLoaded();
+};
+
+/**
+ * Drop deleted customers from the records and the index
+ * The records are compacted in a single pass, however many are removed.
+ * @param {Array<{id: number, previous: Object|null}>} removals
+ */
+const removeCustomers = (removals) => {
+  const removedIds = new Set();
+  for (const { id, previous } of removals) {
+    const position = positionById.get(id);
+    const indexed = position !== undefined ? customers[position] : previous;
+    if (indexed && searchIndex.has(id)) {
+      changesWhilePersisting?.push({ previous: indexed, next: null });
+      searchIndex.remove(indexed);
+    }
+    if (position !== undefined) removedIds.add(id);
+  }
+
+  if (removedIds.size > 0) {
+    let count = 0;
+    for (let i = 0; i < customers.length; i++) {
+      const customer = customers[i];
+      if (removedIds.has(customer.id)) {
+        positionById.delete(customer.id);
+        continue;
+      }
+      if (count !== i) {
+        customers[count] = customer;
+        positionById.set(customer.id, count);
+      }
+      count++;
+    }
+    customers.length = count;
+  }
+  postLoaded();
+};
+
+/**
+ * Collect the customers a query can match
+ * Every text term AND-ed at the top level of the query must appear in name,
+ * email or phone, so the trigram index can narrow the search down to the
+ * candidates of the rarest such term; only those get the full check
+ * @returns {Array|null} Customers to check, or null to scan everyone
+ */
+const getSearchCandidates = (query, total) => {
+  let candidateIds = null;
+  for (const term of getRequiredTextTerms(query)) {
+    const ids = searchIndex.search(term);
+    if (ids && (!candidateIds || ids.length < candidateIds.length)) candidateIds = ids;
+  }
+  if (!candidateIds) return null;
+
+  const candidates = [];
+  for (let i = 0; i < candidateIds.length; i++) {
+    const position = positionById.get(candidateIds[i]);
+    // Skip ids indexed during population whose records haven't been loaded yet
+    if (position !== undefined && position < total) candidates.push(customers[position]);
+  }
+  return candidates;
+};
+
+/**
+ * Run a search + filter + sort query
+ *
+ * Filtering and decorating run in chunks; between chunks the worker yields
+ * and gives up if a newer query has arrived in the meantime.
+ *
+ * In fuzzy mode plain text terms tolerate typos, the trigram index is
+ * skipped (a misspelt term shares few trigrams with what it should find) and
+ * results are ranked by match quality, with the column sort as tie-breaker.
+ *
+ * sortConfig is the whole sort stack ([{ column, direction }, ...]); each
+ * level only breaks ties left by the levels before it.
+ *
+ * @returns {Promise<Int32Array>} Matching ids in sorted order
+ */
+const runQuery = async ({ queryId, query, fuzzy, filters, sortConfig, now }) => {
+  const checkpoint = async () => {
+    await yieldToEvents();
+    if (queryId !== latestQueryId) throw new QueryCancelled();
+  };
+
+  // Snapshot the length: batches appended while we run belong to the next query
+  const total = customers.length;
+  const matchesQuery = compileQuery(query, now, { fuzzy });
+  const matchesFilters = createFilterPredicate(filters, now);
+
+  const relevanceWords = fuzzy ? toFuzzyWords(getPositiveTextTerms(query)) : [];
+  const scoreRelevance = relevanceWords.length > 0
+    ? createRelevanceScorer(relevanceWords, { requireAll: false })
+    : null;
+
+  // FILTER: search query AND-ed with the score / date filters,
+  // over the index candidates when there are any, otherwise over everyone
+  let filtered = customers;
+  if (matchesQuery || matchesFilters) {
+    const source = (!fuzzy && getSearchCandidates(query, total)) || customers;
+    const sourceLength = source === customers ? total : source.length;
+
+    filtered = [];
+    for (let start = 0; start < sourceLength; start += CHUNK_SIZE) {
+      const end = Math.min(start + CHUNK_SIZE, sourceLength);
+      for (let i = start; i < end; i++) {
+        const customer = source[i];
+        if (
+          (!matchesQuery || matchesQuery(customer)) &&
+          (!matchesFilters || matchesFilters(customer))
+        ) {
+          filtered.push(customer);
+        }
+      }
+      await checkpoint();
+    }
+  }
+
+  // DECORATE: pre-compute the comparison values once per customer
+  const count = filtered === customers ? total : filtered.length;
+  const decorated = new Array(count);
+  for (let start = 0; start < count; start += CHUNK_SIZE) {
+    const end = Math.min(start + CHUNK_SIZE, count);
+    for (let i = start; i < end; i++) {
+      const customer = filtered[i];
+      decorated[i] = {
+        id: customer.id,
+        compareValues: getSortValues(customer, sortConfig),
+        relevance: scoreRelevance ? scoreRelevance(customer) : 0
+      };
+    }
+    await checkpoint();
+  }
+
+  // SORT: a single native sort cannot be interrupted, so check right after it
+  const compareColumn = createDecoratedComparator(sortConfig);
+  decorated.sort(scoreRelevance
+    ? (a, b) => (b.relevance - a.relevance) || compareColumn(a, b)
+    : compareColumn);
+  await checkpoint();
+
+  // UNDECORATE: only the ids travel back to the main thread
+  const ids = new Int32Array(count);
+  for (let i = 0; i < count; i++) {
+    ids[i] = decorated[i].id;
+  }
+  return ids;
+};
+
+/**
+ * Records for the given ids, in the same order (unknown ids skipped)
+ */
+const collectRows = (ids) => {
+  const rows = [];
+  for (const id of ids) {
+    const position = positionById.get(id);
+    if (position !== undefined) rows.push(customers[position]);
+  }
+  return rows;
+};
+
+const handlers = {
+  append: ({ customers: batch }) => {
+    addCustomers(batch);
+    return customers.length;
+  },
+
+  index: ({ customers: batch }) => {
+    addCustomers(batch, { keep: false });
+    return searchIndex.size;
+  },
+
+  upsert: ({ changes }) => {
+    // Memory storage mode: the worker hands out ids for new customers itself
+    const saved = changes.map(({ customer, previous }) => ({
+      customer: customer.id === undefined ? { ...customer, id: ++largestId } : customer,
+      previous
+    }));
+    upsertCustomers(saved);
+    return saved.map(({ customer }) => customer);
+  },
+
+  remove: ({ removals }) => {
+    removeCustomers(removals);
+    return customers.length;
+  },
+
+  // The store was emptied (replaced by an import): forget every record and its index
+  clear: () => {
+    customers.length = 0;
+    positionById.clear();
+    searchIndex.clear();
+    largestId = 0;
+    postLoaded();
+    return 0;
+  },
+
+  persistIndex: async () => {
+    const db = await openDatabase();
+    // Started in the same task as the snapshot, so no change falls in between
+    changesWhilePersisting = [];
+    let missed;
+    try {
+      await searchIndex.persist(db);
+    } finally {
+      missed = changesWhilePersisting;
+      changesWhilePersisting = null;
+    }
+    if (missed.length > 0) await writePersistedSearchIndexChanges(db, missed);
+    return searchIndex.size;
+  },
+
+  restoreIndex: async ({ expectedCount }) => {
+    // Already built in this session (e.g. while populating the database)
+    if (searchIndex.size >= expectedCount) return true;
+
+    const db = await openDatabase();
+    return searchIndex.restore(db, expectedCount);
+  },
+
+  generate: async ({ count, options }) => {
+    await generateCustomersInMemory(
+      count,
+      (processed, total) => self.postMessage({ type: 'progress', processed, total }),
+      (batch) => addCustomers(batch),
+      options
+    );
+    return customers.length;
+  },
+
+  query: async (payload) => {
+    latestQueryId = payload.queryId;
+    const ids = await runQuery(payload);
+    return { value: { ids, total: customers.length }, transfer: [ids.buffer] };
+  },
+
+  getRows: ({ ids }) => collectRows(ids),
+
+  // Dashboard statistics over the given ids, in chunks like a query
+  stats: async ({ statsId, ids }) => {
+    latestStatsId = statsId;
+    const accumulator = createStatsAccumulator();
+    for (let start = 0; start < ids.length; start += CHUNK_SIZE) {
+      const end = Math.min(start + CHUNK_SIZE, ids.length);
+      for (let i = start; i < end; i++) {
+        const position = positionById.get(ids[i]);
+        if (position !== undefined) accumulator.add(customers[position]);
+      }
+      await yieldToEvents();
+      if (statsId !== latestStatsId) throw new QueryCancelled();
+    }
+    return accumulator.finish();
+  },
+
+  // email (normalised like stored ones) -> first held customer with it
+  // (merging imported customers in memory storage mode)
+  findByEmails: ({ emails }) => {
+    const wanted = new Set(emails);
+    const found = new Map();
+    for (const customer of customers) {
+      if (wanted.has(customer.email) && !found.has(customer.email)) found.set(customer.email, customer);
+    }
+    return found;
+  },
+
+  // CSV text for a chunk of an export, so the records never leave the worker
+  formatCsv: ({ ids, columns }) => customersToCsv(collectRows(ids), columns)
+};
+
+self.onmessage = async (event) => {
+  const { type, requestId, ...payload } = event.data;
+
+  try {
+    const handler = handlers[type];
+    if (!handler) throw new Error(`Unknown message type: ${type}`);
+
+    const result = await handler(payload);
+    if (result && result.transfer) {
+      self.postMessage({ type: 'response', requestId, result: result.value }, result.transfer);
+    } else {
+      self.postMessage({ type: 'response', requestId, result });
+    }
+  } catch (error) {
+    if (error instanceof QueryCancelled) {
+      self.postMessage({ type: 'cancelled', requestId });
+      return;
+    }
+    console.error(`Worker error handling "${type}":`, error);
+    self.postMessage({ type: 'error', requestId, message: error.message || 'Unknown worker error' });
+  }
+};